@@ -0,0 +1,59 @@
+/*
+Times parse() on large batches of filenames: a batch of the kind of names
+found in a real download directory, and a batch of names crafted to be slow
+to parse. Run with `npm run bench [-- <batch size>]`.
+*/
+const npf = require('../')
+
+const batchSize = Number(process.argv[2]) || 100000
+
+function typicalNames(count) {
+  const names = []
+  for (let i = 0; i < count; ++i) {
+    switch (i % 5) {
+      case 0:
+        names.push(`my-package-${i % 7}.${i % 13}.${i % 31}.tgz`)
+        break
+      case 1:
+        names.push(`%40my-scope%2Fmy-package-${i % 23}-1.${i % 5}.0-beta.${i % 9}.tar.gz`)
+        break
+      case 2:
+        names.push(`pkg-${i}-2.0.0%2Bbuild.${i}.tgz`)
+        break
+      case 3:
+        names.push(`my-package-1.2.${i % 11}-4.5.6.tgz`) // ambiguous
+        break
+      case 4:
+        names.push(encodeURIComponent(`github.com/user/project-${i}#${'0123456789abcdef'.repeat(2)}01234567.tgz`))
+        break
+    }
+  }
+  return names
+}
+
+// Long names with many hyphen and number segments, and no valid version
+function craftedNames(count) {
+  const names = []
+  for (let i = 0; i < count; ++i) {
+    const repeat = 20 + i % 180
+    names.push(encodeURIComponent('a' + (i % 2 ? '-1' : '-1.1a').repeat(repeat) + '-1.2.3~.tgz'))
+  }
+  return names
+}
+
+function run(label, names) {
+  const start = process.hrtime()
+  let parsed = 0
+  for (let i = 0; i < names.length; ++i) {
+    if (npf.parse(names[i])) ++parsed
+  }
+  const elapsed = process.hrtime(start)
+  const ms = elapsed[0] * 1e3 + elapsed[1] / 1e6
+  console.log(
+    `${label}: ${names.length} names (${parsed} parsed) in ${ms.toFixed(1)} ms;`,
+    `${Math.round(names.length / ms * 1000)} names/s`
+  )
+}
+
+run('typical', typicalNames(batchSize))
+run('crafted', craftedNames(Math.ceil(batchSize / 10)))
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+/*
+The npf command: the functions of this module most often wanted from the
+shell. Exit status: 0 for success; 1 for a negative result (a name that is
+not that of a package tarball; for 'ambiguous', a name that is not
+ambiguous; for 'splits', a string with no valid split); 2 for a usage
+error, or input that is not valid; 3 for any other failure, such as a
+directory that can't be read.
+*/
+const fs = require('fs')
+const npf = require('../')
+
+const EXIT_NEGATIVE = 1
+const EXIT_USAGE = 2
+const EXIT_FAILURE = 3
+
+const USAGE = `Usage: npf <command> [options] [arguments]
+
+Commands:
+  make [<key-data-json>] [--type <type>] [--name <name>] [--version <version>]
+       [--domain <domain>] [--path <path>] [--commit <commit>] [--url <url>]
+       [--alias <alias>] [--hash <hash>] [--integrity <sri>]
+       [--extension <ext>] [--max-length <n>] [--portable] [--strict]
+      Make a tarball filename from key data, given as a JSON object,
+      as flags, or both (flags win). The type, if not given, is taken
+      as 'url' with --url, 'git' with --commit, 'alias' with --alias,
+      'file' with --hash, or else 'semver'.
+  parse [<filename>...]
+      Parse tarball filenames, read one per line from stdin if none given.
+  ambiguous <name> [<version>]
+      Tell if the version can't be told apart from the name with certainty.
+      Exits with 0 if ambiguous, 1 if not.
+  splits <name-version>
+      List the ways to split a string into a name and a version, most
+      plausible first, each marked '%' where the version signal is needed,
+      or '(%)' where it is needed only in strict mode.
+  scan <dir>
+      Take an inventory of the tarballs in a directory.
+
+Options:
+  --json      Write output as JSON
+  -h, --help  Show this help
+`
+
+// Flags that take a value, by command
+const VALUE_FLAGS = {
+  make: [
+    'type', 'name', 'version', 'domain', 'path', 'commit', 'url',
+    'alias', 'hash', 'integrity', 'extension', 'max-length'
+  ],
+  parse: [],
+  ambiguous: [],
+  splits: [],
+  scan: []
+}
+const BOOLEAN_FLAGS = {
+  make: [ 'portable', 'strict' ],
+  parse: [],
+  ambiguous: [],
+  splits: [],
+  scan: []
+}
+
+function UsageError(message) {
+  const err = new Error(message)
+  err.usage = true
+  return err
+}
+
+function parseArgs(command, args) {
+  const flags = {}
+  const operands = []
+  for (let i = 0; i < args.length; ++i) {
+    const arg = args[i]
+    if (arg === '--') {
+      operands.push.apply(operands, args.slice(i + 1))
+      break
+    }
+    if (arg.slice(0, 2) !== '--' || arg === '--') {
+      operands.push(arg)
+      continue
+    }
+    const eq = arg.indexOf('=')
+    const flag = eq === -1 ? arg.slice(2) : arg.slice(2, eq)
+    if (flag === 'json' || BOOLEAN_FLAGS[command].includes(flag)) {
+      if (eq !== -1) throw UsageError(`--${flag} takes no value`)
+      flags[flag] = true
+    }
+    else if (VALUE_FLAGS[command].includes(flag)) {
+      if (eq !== -1) flags[flag] = arg.slice(eq + 1)
+      else if (i + 1 < args.length) flags[flag] = args[++i]
+      else throw UsageError(`--${flag} needs a value`)
+    }
+    else throw UsageError(`unknown option --${flag} for ${command}`)
+  }
+  return { flags: flags, operands: operands }
+}
+
+function make(flags, operands) {
+  if (operands.length > 1) throw UsageError('make takes at most one argument')
+  let data = {}
+  if (operands.length) {
+    try {
+      data = JSON.parse(operands[0])
+    }
+    catch (err) {
+      throw UsageError(`key data is not valid JSON: ${err.message}`)
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data))
+      throw UsageError('key data must be a JSON object')
+  }
+  const fields = [
+    'type', 'name', 'version', 'domain', 'path', 'commit', 'url', 'alias', 'hash',
+    'integrity'
+  ]
+  fields.forEach(field => {
+    if (flags[field] !== undefined) data[field] = flags[field]
+  })
+  if (data.type === undefined) {
+    data.type = data.url !== undefined ? 'url'
+      : data.commit !== undefined ? 'git'
+      : data.alias !== undefined ? 'alias'
+      : data.hash !== undefined ? 'file'
+      : 'semver'
+  }
+
+  const options = {}
+  if (flags.extension !== undefined) options.extension = flags.extension
+  if (flags['max-length'] !== undefined) {
+    if (!/^[0-9]+$/.test(flags['max-length']))
+      throw UsageError('--max-length must be a positive integer')
+    options.maxLength = Number(flags['max-length'])
+  }
+  if (flags.portable) options.portable = true
+  if (flags.strict) options.strict = true
+
+  let filename
+  try {
+    filename = npf.makeTarballName(data, options)
+  }
+  catch (err) {
+    // The key data or options given are not valid
+    throw UsageError(err.message)
+  }
+  write(flags.json ? JSON.stringify({ filename: filename }) : filename)
+  return 0
+}
+
+// A line about what a filename holds, for people to read
+function summary(parsed) {
+  const note = (parsed.integrityPrefix ? '\t' + parsed.integrityPrefix : '') +
+    (parsed.truncated ? '\t(shortened)' : '')
+  switch (parsed.type) {
+    case 'semver':
+      const version = parsed.versionComparable + (parsed.build ? '+' + parsed.build : '')
+      const name = parsed.truncated ? parsed.packageNamePrefix + '...' : parsed.packageName
+      return `semver\t${name}@${version}${note}`
+    case 'git':
+      const repo = parsed.truncated ? `${parsed.domain}/${parsed.pathPrefix}...` : parsed.repo
+      return `git\t${repo}#${parsed.commit}${note}`
+    case 'url':
+      return `url\t${parsed.truncated ? parsed.urlPrefix + '...' : parsed.url}${note}`
+    case 'alias':
+      const alias = parsed.truncated ? parsed.aliasPrefix + '...' : parsed.alias
+      if (parsed.truncated && parsed.packageNamePrefix === null)
+        return `alias\t${alias}${note}`
+      const realName = parsed.truncated ? parsed.packageNamePrefix + '...' : parsed.packageName
+      const realVersion = parsed.versionComparable + (parsed.build ? '+' + parsed.build : '')
+      return `alias\t${alias}=npm:${realName}@${realVersion}${note}`
+    case 'file':
+      const filePath = parsed.truncated ? parsed.pathPrefix + '...' : parsed.path
+      return `file\t${filePath}#${parsed.hash}${note}`
+  }
+}
+
+function parse(flags, operands) {
+  let filenames = operands
+  if (!filenames.length) {
+    filenames = fs.readFileSync(0, 'utf8').split(/\r?\n/)
+      .map(line => line.trim()).filter(line => line)
+  }
+  let status = 0
+  const results = filenames.map(filename => {
+    const parsed = npf.parse(filename)
+    if (parsed) return { filename: filename, result: parsed }
+    status = EXIT_NEGATIVE
+    return { filename: filename, result: null, error: npf.parse.explain(filename).error }
+  })
+  if (flags.json) write(JSON.stringify(results, null, 2))
+  else {
+    results.forEach(item => {
+      if (item.result) write(`${item.filename}\t${summary(item.result)}`)
+      else {
+        const error = item.error
+        writeError(`${item.filename}: not a package tarball name: ${error.message} (${error.code})`)
+      }
+    })
+  }
+  return status
+}
+
+function ambiguous(flags, operands) {
+  if (!operands.length || operands.length > 2)
+    throw UsageError('ambiguous takes a name, and optionally a version')
+  const result = npf.isVersionAmbiguous(operands[0], operands[1])
+  if (flags.json) write(JSON.stringify({ ambiguous: result }))
+  else write(result ? 'ambiguous' : 'not ambiguous')
+  return result ? 0 : EXIT_NEGATIVE
+}
+
+function splits(flags, operands) {
+  if (operands.length !== 1) throw UsageError('splits takes one string')
+  let analysis
+  try {
+    analysis = npf.analyzeNameVersion(operands[0])
+  }
+  catch (err) {
+    throw UsageError(err.message)
+  }
+  if (flags.json) write(JSON.stringify(analysis, null, 2))
+  else {
+    analysis.splits.forEach(split => {
+      const marks = (split.versionSignal ? '\t%' : split.strictVersionSignal ? '\t(%)' : '') +
+        (split.validForNewPackages ? '' : '\t(old name)')
+      write(`${split.rank}\t${split.name}\t${split.version}${marks}`)
+    })
+  }
+  return analysis.splits.length ? 0 : EXIT_NEGATIVE
+}
+
+function scan(flags, operands) {
+  if (operands.length !== 1) throw UsageError('scan takes one directory')
+  const inv = npf.scanDirectorySync(operands[0])
+  if (flags.json) write(JSON.stringify(inv, null, 2))
+  else {
+    const lines = []
+    const add = (label, filename) => lines.push({ label: label, filename: filename })
+    Object.keys(inv.semver).forEach(name => inv.semver[name].forEach(e => add('semver', e.filename)))
+    Object.keys(inv.git).forEach(repo => inv.git[repo].forEach(e => add('git', e.filename)))
+    inv.url.forEach(e => add('url', e.filename))
+    Object.keys(inv.alias).forEach(alias => inv.alias[alias].forEach(e => add('alias', e.filename)))
+    inv.file.forEach(e => add('file', e.filename))
+    inv.truncated.forEach(e => add('shortened', e.filename))
+    inv.unrecognized.forEach(name => add('unrecognized', name))
+    inv.nonTarballs.forEach(name => add('other', name))
+    lines.sort((a, b) => a.filename < b.filename ? -1 : a.filename > b.filename ? 1 : 0)
+    lines.forEach(line => write(`${line.label}\t${line.filename}`))
+  }
+  return inv.unrecognized.length ? EXIT_NEGATIVE : 0
+}
+
+function write(line) {
+  process.stdout.write(line + '\n')
+}
+
+function writeError(line) {
+  process.stderr.write(line + '\n')
+}
+
+const COMMANDS = {
+  make: make, parse: parse, ambiguous: ambiguous, splits: splits, scan: scan
+}
+
+function main(args) {
+  const command = args[0]
+  if (command === undefined || command === '-h' || command === '--help' || command === 'help') {
+    (command === undefined ? writeError : write)(USAGE.trimEnd())
+    return command === undefined ? EXIT_USAGE : 0
+  }
+  if (!COMMANDS.hasOwnProperty(command)) {
+    writeError(`npf: unknown command '${command}'\n\n${USAGE.trimEnd()}`)
+    return EXIT_USAGE
+  }
+  if (args.includes('-h') || args.includes('--help')) {
+    write(USAGE.trimEnd())
+    return 0
+  }
+  try {
+    const parsedArgs = parseArgs(command, args.slice(1))
+    return COMMANDS[command](parsedArgs.flags, parsedArgs.operands)
+  }
+  catch (err) {
+    writeError(`npf ${command}: ${err.message}`)
+    return err.usage ? EXIT_USAGE : EXIT_FAILURE
+  }
+}
+
+process.exitCode = main(process.argv.slice(2))
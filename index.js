@@ -2,41 +2,77 @@ module.exports = {
   makeTarballName: makeTarballName,
   parse: parseFilename,
   hasTarballExtension: hasTarballExt,
-  isVersionAmbiguous: isVersionAmbiguous
+  isVersionAmbiguous: isVersionAmbiguous,
+  scanDirectory: scanDirectory,
+  scanDirectorySync: scanDirectorySync,
+  compareVersions: compareVersions,
+  satisfies: satisfies,
+  latest: latest,
+  fromSpec: fromSpec,
+  toSpec: toSpec,
+  toRegistryUrl: toRegistryUrl,
+  fromRegistryUrl: fromRegistryUrl,
+  validatePackageName: validatePackageName,
+  normalizeGitRepo: normalizeGitRepo,
+  keyDataDigest: keyDataDigest,
+  saveKeyData: saveKeyData,
+  recoverKeyData: recoverKeyData,
+  findCollisions: findCollisions,
+  canonicalKey: canonicalKey,
+  isSameArtifact: isSameArtifact,
+  dedupe: dedupe,
+  checkLockfile: checkLockfile,
+  checkLockfileSync: checkLockfileSync,
+  verifyTarball: verifyTarball,
+  verifyDirectory: verifyDirectory,
+  planMigration: planMigration,
+  planMigrationSync: planMigrationSync,
+  applyMigration: applyMigration,
+  applyMigrationSync: applyMigrationSync,
+  planPrune: planPrune,
+  planPruneSync: planPruneSync,
+  applyPrune: applyPrune,
+  applyPruneSync: applyPruneSync,
+  watchDirectory: watchDirectory,
+  registerScheme: registerScheme,
+  convert: convert,
+  matchesIntegrity: matchesIntegrity,
+  analyzeNameVersion: analyzeNameVersion
 }
 
+const crypto = require('crypto')
+const EventEmitter = require('events')
+const fs = require('fs')
+const builtinModules = require('module').builtinModules
 const path = require('path')
-const url = require('url')
+const URL = require('url').URL
+const zlib = require('zlib')
 
 /*
-Let c = successful capture array; then c[0] is entire match;
-c[1] is the bare name;
-c[2] is numeric triplet of version string;
-c[3] is pre-release identifier(s);
-c[4] is build metadata; and
-c[5] is the (tarball) file extension, '.'-prefixed.
-
-c[3] & c[4] are optional, so each may be undefined.
-For successful parsing, the regular expressions are only meant to be applied
-to filenames that have first been URI-decoded.
+The grammar of the parts of a filename. The regular expressions are only
+meant to be applied to filenames that have first been URI-decoded.
+The semver forms are not parsed with regular expressions at all (see
+scanSemverFilename()), but the same grammar applies.
 */
 const VERSION_SIG = '%' // A convention unique to this module
 const VALID_NAME = '[a-zA-Z0-9~!*()\'-][a-zA-Z0-9~!*()\'_.-]*'
 const NUMBER = '(?:0|[1-9]\\d*)'
-const NAME_BEFORE_VERSION = [
-  VALID_NAME, '(?:-(?:', NUMBER, '(?:\\.(?:', NUMBER,
-  '\\.?)?)?|(?:[a-zA-Z~!*()\'_.]|', NUMBER,
-  '(?:[a-zA-Z~!*()\'_]|\\.(?:[a-zA-Z~!*()\'_.]|', NUMBER,
-  '(?:[a-zA-Z~!*()\'_]|\\.[a-zA-Z~!*()\'_.]))))[a-zA-Z0-9~!*()\'_.]*))*'
-].join('')
 const NUMERIC_TRIPLET = [ NUMBER, NUMBER, NUMBER ].join('\\.')
 const PRERELEASE_ID = '(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)'
 const SEMVER_PRERELEASE = [
   PRERELEASE_ID, '(?:\\.', PRERELEASE_ID, ')*'
 ].join('')
 const SEMVER_BUILD = '[0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*'
-const COMMIT_HASH = '[0-9a-fA-F]{40}'
-const TARBALL_EXT = '\\.[tT](?:[gG][zZ]|[aA][rR](?:\\.[gG][zZ])?)'
+// A SHA-1 object name, or a SHA-256 one (git's newer object format)
+const COMMIT_HASH = '(?:[0-9a-fA-F]{40}|[0-9a-fA-F]{64})'
+// The hash of the content of a local package: SHA-1, SHA-256 or SHA-512
+const CONTENT_HASH = '(?:[0-9a-fA-F]{40}|[0-9a-fA-F]{64}|[0-9a-fA-F]{128})'
+const TARBALL_EXT = [
+  '\\.(?:[tT](?:[gG][zZ]|[aA][rR](?:\\.(?:[gG][zZ]|[xX][zZ]|[bB][zZ]2|[zZ][sS][tT]))?)',
+  '|[zZ][iI][pP])'
+].join('')
+// The extensions that makeTarballName() has always left alone on a url
+const LEGACY_TARBALL_EXT = '\\.[tT](?:[gG][zZ]|[aA][rR](?:\\.[gG][zZ])?)'
 const RE_VALID_SEMVER = new RegExp([
   '^', NUMERIC_TRIPLET,
   '(?:-', SEMVER_PRERELEASE, ')?(?:\\+', SEMVER_BUILD, ')?$'
@@ -45,42 +81,316 @@ const RE_AMBIGUOUS_VERSION = new RegExp([
   '-', NUMERIC_TRIPLET, '-', NUMERIC_TRIPLET,
   '(?:[+-]|\\.', TARBALL_EXT, '$|$)?'
 ].join(''))
-const RE_VERSION_SIG = new RegExp(VERSION_SIG)
-const RE_STRICT_PKGFILENAME = new RegExp([
-  '^((?:', VALID_NAME, ')|(?:@', VALID_NAME, '\\/', VALID_NAME, '))',
-  VERSION_SIG, '(', NUMERIC_TRIPLET, ')',
-  '(?:-(', SEMVER_PRERELEASE, '))?',
-  '(?:\\+(', SEMVER_BUILD, '))?',
-  '(', TARBALL_EXT, ')$'
-].join(''))
-const RE_LOOSE_PKGFILENAME = new RegExp([
-  '^((?:', NAME_BEFORE_VERSION, ')|(?:@', VALID_NAME, '\\/', NAME_BEFORE_VERSION,
-  '))-(', NUMERIC_TRIPLET, ')',
-  '(?:-(', SEMVER_PRERELEASE, '))?',
-  '(?:\\+(', SEMVER_BUILD, '))?',
-  '(', TARBALL_EXT, ')$'
-].join(''))
 const RE_COMMIT_HASH = new RegExp([ '^', COMMIT_HASH, '$' ].join(''))
+const RE_ABBREVIATED_HASH = /^[0-9a-fA-F]{4,63}$/
 const RE_GITREPO_FILENAME = new RegExp([
   '^([^\\/]+)\\/([^#]+)#(', COMMIT_HASH, ')(', TARBALL_EXT, ')$'
 ].join(''))
 const RE_TARBALL_EXT = new RegExp(TARBALL_EXT + '$')
+const RE_LEGACY_TARBALL_EXT = new RegExp(LEGACY_TARBALL_EXT + '$')
+const RE_TARBALL_EXT_ONLY = new RegExp([ '^', TARBALL_EXT, '$' ].join(''))
+const ARCHIVE_TYPES = {
+  '.tar': { container: 'tar', compression: null },
+  '.tgz': { container: 'tar', compression: 'gzip' },
+  '.tar.gz': { container: 'tar', compression: 'gzip' },
+  '.tar.xz': { container: 'tar', compression: 'xz' },
+  '.tar.bz2': { container: 'tar', compression: 'bzip2' },
+  '.tar.zst': { container: 'tar', compression: 'zstd' },
+  // Compression in a zip archive is per entry, not of the archive as a whole
+  '.zip': { container: 'zip', compression: null }
+}
 const RE_INVALID_CHARS = /^[_.]|[#$^&+{}|:"<>?`=\[\]\\;,\/]/
+const RE_NUMERIC_TRIPLET = new RegExp([ '^', NUMERIC_TRIPLET, '$' ].join(''))
+const RE_SEMVER_PRERELEASE = new RegExp([ '^', SEMVER_PRERELEASE, '$' ].join(''))
+const RE_SEMVER_PARTS = new RegExp([
+  '^(', NUMERIC_TRIPLET, ')',
+  '(?:-(', SEMVER_PRERELEASE, '))?(?:\\+(', SEMVER_BUILD, '))?$'
+].join(''))
+/*
+For version ranges: a numeric component may be replaced by an X ('x', 'X',
+or '*'), and trailing components may be left off. Pre-release and build parts
+are only allowed on a full numeric triplet.
+*/
+const X_NUMBER = '(?:' + NUMBER + '|[xX*])'
+const RE_PARTIAL_VERSION = new RegExp([
+  '^v?(', X_NUMBER, ')(?:\\.(', X_NUMBER, ')(?:\\.(', X_NUMBER, ')',
+  '(?:-(', SEMVER_PRERELEASE, '))?(?:\\+', SEMVER_BUILD, ')?)?)?$'
+].join(''))
+/*
+A name shortened to fit a length limit: what's left of the usual form
+(less extension), then a marker that can't occur in any other form ('#' is
+never in a semver or url form, and in a git form it's followed by the
+commit), the type, and a digest of the full key data.
+*/
+const DIGEST_LENGTH = 32
+const RE_TRUNCATED_FILENAME = new RegExp([
+  '^(.*)#~(semver|git|url|alias|file)~([0-9a-f]{', DIGEST_LENGTH, '})(', TARBALL_EXT, ')$'
+].join(''))
+const RE_TRUNCATED_GIT_HEAD = new RegExp([
+  '^([^\\/]+)\\/(.*)#(', COMMIT_HASH, ')$'
+].join(''))
+/*
+The url form: the whole url, scheme and all. Where an extension had to be
+added, it follows a '#', which can't be mistaken for part of the url,
+because the fragment is left out.
+Older filenames of type 'url' have only the host and path.
+*/
+const RE_URL_SCHEME = /^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//
+const RE_ADDED_URL_EXT = new RegExp([ '#(', TARBALL_EXT, ')$' ].join(''))
+const RE_URL_USERINFO = /^([a-zA-Z][a-zA-Z0-9+.-]*:\/\/)[^\/?#]*@/
+/*
+The alias form: the alias, a marker, then the real package name and version
+as in the semver form, always with the version signal:
+  my-alias#npm:real-pkg%1.2.3.tgz
+The file form: a marker, the relative path to the local package, then its
+content hash after '##', which rules out reading it as the git form:
+  file:../pkgs/my-pkg##<hash>.tgz
+*/
+const ALIAS_MARKER = '#npm:'
+const FILE_MARKER = 'file:'
+const FILE_HASH_MARKER = '##'
+const RE_CONTENT_HASH = new RegExp([ '^', CONTENT_HASH, '$' ].join(''))
+/*
+The integrity tag, for key data with an SRI integrity: the algorithm and the
+first hex digits of the digest, after a '#', just before the extension. It
+is taken off before the rest of the name is parsed, so it can go with any
+of the forms above:
+  my-pkg-1.2.3#sha512-9b71d224bd62f378.tgz
+*/
+const INTEGRITY_PREFIX_LENGTH = 16
+// Digest lengths in bytes, by SRI algorithm
+const SRI_DIGEST_LENGTHS = { sha1: 20, sha256: 32, sha384: 48, sha512: 64 }
+const RE_INTEGRITY_TAG = new RegExp([
+  '#(sha1|sha256|sha384|sha512)-([0-9a-f]{', INTEGRITY_PREFIX_LENGTH, '})(', TARBALL_EXT, ')$'
+].join(''))
+const RE_SRI_HASH = /^(sha1|sha256|sha384|sha512)-([a-zA-Z0-9+\/]+={0,2})(?:\?.*)?$/
+// For diagnosis of filenames that parse() rejects
+const RE_VALID_NAME_ONLY = new RegExp([
+  '^(?:', VALID_NAME, '|@', VALID_NAME, '\\/', VALID_NAME, ')$'
+].join(''))
+const RE_SEMVER_BUILD = new RegExp([ '^', SEMVER_BUILD, '$' ].join(''))
+const RE_AMBIGUOUS_SEGMENT = new RegExp([
+  '-(', NUMERIC_TRIPLET, '-', NUMERIC_TRIPLET, ')'
+].join(''))
+// Device names that Windows reserves, with or without an extension
+const RE_RESERVED_DEVICE_NAME = /^(?:CON|PRN|AUX|NUL|COM[0-9]|LPT[0-9])$/i
+const RE_HYPHEN_RANGE = /^(\S+)\s+-\s+(\S+)$/
+const RE_RANGE_OPERATOR = /^(<=|>=|<|>|=|~>?|\^)?(.*)$/
+
+// Every error thrown by this module has a code that won't change,
+// so that callers don't have to depend on message text
+function codedError(ErrorClass, code, message) {
+  const err = new ErrorClass(message)
+  err.code = code
+  return err
+}
 
 function expectString(val, label) {
   if (val === undefined || val === null)
-    throw new SyntaxError(`no ${label} given`)
+    throw codedError(SyntaxError, 'ERR_MISSING_VALUE', `no ${label} given`)
   if (typeof val !== 'string')
-    throw new TypeError(`${label} must be a string`)
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', `${label} must be a string`)
 }
 
 function expectNonemptyString(val, label) {
   expectString (val, label)
-  if (!val) throw new SyntaxError(`${label} must not be empty`)
+  if (!val) throw codedError(SyntaxError, 'ERR_EMPTY_VALUE', `${label} must not be empty`)
+}
+
+// Assumes that ext has already been validated
+function archiveType(ext) {
+  return Object.assign({}, ARCHIVE_TYPES[ext.toLowerCase()])
+}
+
+// Assumes that hash has already been validated
+function hashAlgorithm(hash) {
+  return hash.length === 128 ? 'sha512' : hash.length === 64 ? 'sha256' : 'sha1'
 }
 
-function parseFilename(str) {
+function parseFilename(str, options) {
   expectString(str, 'argument')
+  // Anything else is ignored, as for the index when parse() is given to map()
+  if (options === null || typeof options !== 'object') options = {}
+
+  if (options.scheme !== undefined && options.scheme !== DEFAULT_SCHEME) {
+    const schemeResult = namingScheme(options.scheme).parse(str, schemeOptions(options))
+    if (schemeResult || !options.verbose) return schemeResult
+    return {
+      error: diagnosis('ERR_UNRECOGNIZED', `not a name of scheme '${options.scheme}'`, str, 0)
+    }
+  }
+  const result = parseEncoded(str)
+  if (result || !options.verbose) return result
+  return { error: diagnoseFilename(str) }
+}
+parseFilename.explain = str => parseFilename(str, { verbose: true })
+
+/*
+The semver forms, parsed without backtracking: each character is looked at
+a bounded number of times, so the time taken is linear in the length of the
+filename, however it was crafted. The rules are those of the grammar above.
+str must be URI-decoded. separator is VERSION_SIG or '-'; with '-', the name
+is taken to end at the last hyphen that can be followed by a valid version,
+as a greedy regular expression would have it.
+Returns { name, triplet, prerelease, build, extension }, or null.
+*/
+const TARBALL_EXTENSIONS = Object.keys(ARCHIVE_TYPES)
+// Character classes, as bit flags in a table indexed by (ASCII) char code
+const NAME_FIRST_CHAR = 1
+const NAME_CHAR = 2
+const IDENTIFIER_CHAR = 4
+const DIGIT = 8
+const CHAR_CLASSES = new Uint8Array(128)
+for (let code = 0; code < 128; ++code) {
+  const c = String.fromCharCode(code)
+  CHAR_CLASSES[code] =
+    (/[a-zA-Z0-9~!*()'-]/.test(c) ? NAME_FIRST_CHAR : 0) |
+    (/[a-zA-Z0-9~!*()'_.-]/.test(c) ? NAME_CHAR : 0) |
+    (/[0-9a-zA-Z-]/.test(c) ? IDENTIFIER_CHAR : 0) |
+    (/[0-9]/.test(c) ? DIGIT : 0)
+}
+
+function isOfClass(str, i, charClass) {
+  const code = str.charCodeAt(i)
+  return code < 128 && (CHAR_CLASSES[code] & charClass) !== 0
+}
+
+// Index where the extension starts, or -1 if there is no tarball extension
+function extensionStart(str) {
+  const tail = str.slice(-8).toLowerCase()
+  for (let i = 0; i < TARBALL_EXTENSIONS.length; ++i) {
+    if (tail.endsWith(TARBALL_EXTENSIONS[i]))
+      return str.length - TARBALL_EXTENSIONS[i].length
+  }
+  return -1
+}
+
+// Index of the first character from start that can't be in a name,
+// or -1 if a name can't start at start
+function nameLimit(str, start, end) {
+  if (start >= end || !isOfClass(str, start, NAME_FIRST_CHAR)) return -1
+  let i = start + 1
+  while (i < end && isOfClass(str, i, NAME_CHAR)) ++i
+  return i
+}
+
+// Index after a NUMBER that starts at start, or -1
+function numberEnd(str, start, end) {
+  let i = start
+  while (i < end && isOfClass(str, i, DIGIT)) ++i
+  if (i === start || (str[start] === '0' && i - start > 1)) return -1
+  return i
+}
+
+// Index after a NUMERIC_TRIPLET that starts at start, or -1
+function tripletEnd(str, start, end) {
+  let i = start
+  for (let n = 0; n < 3; ++n) {
+    if (n && (i >= end || str[i++] !== '.')) return -1
+    i = numberEnd(str, i, end)
+    if (i === -1) return -1
+  }
+  return i
+}
+
+function isValidBuild(str, start, end) {
+  if (start >= end || str[start] === '.' || str[end - 1] === '.') return false
+  for (let i = start; i < end; ++i) {
+    if (str[i] === '.') {
+      if (str[i - 1] === '.') return false
+    }
+    else if (!isOfClass(str, i, IDENTIFIER_CHAR)) return false
+  }
+  return true
+}
+
+/*
+preOk[i] tells whether str from i to end is a valid SEMVER_PRERELEASE.
+Worked out from right to left, in one pass, so that it can be looked up for
+any number of places where the version might start.
+*/
+function prereleaseTable(str, end) {
+  const preOk = new Uint8Array(end + 1)
+  let nextDot = end
+  let tailOk = true // whether all identifiers after nextDot are valid
+  let allIdChars = true
+  let hasNonDigit = false
+  for (let i = end - 1; i >= 0; --i) {
+    if (str[i] === '.') {
+      tailOk = i + 1 < end && preOk[i + 1] === 1
+      nextDot = i
+      allIdChars = true
+      hasNonDigit = false
+      continue
+    }
+    allIdChars = allIdChars && isOfClass(str, i, IDENTIFIER_CHAR)
+    hasNonDigit = hasNonDigit || !isOfClass(str, i, DIGIT)
+    // A numeric identifier must not have a leading zero
+    const numericOk = hasNonDigit || str[i] !== '0' || i + 1 === nextDot
+    preOk[i] = allIdChars && numericOk && tailOk ? 1 : 0
+  }
+  return preOk
+}
+
+function scanSemverFilename(str, separator) {
+  const extStart = extensionStart(str)
+  if (extStart === -1) return null
+
+  // Neither name nor version can have a '+', except to start build metadata
+  const plusIdx = str.indexOf('+')
+  if (plusIdx !== -1 && !(plusIdx < extStart && isValidBuild(str, plusIdx + 1, extStart)))
+    return null
+  const versionEnd = plusIdx === -1 ? extStart : plusIdx
+
+  let nameStart = 0
+  if (str[0] === '@') {
+    const scopeEnd = nameLimit(str, 1, versionEnd)
+    if (scopeEnd === -1 || str[scopeEnd] !== '/') return null
+    nameStart = scopeEnd + 1
+  }
+  const limit = nameLimit(str, nameStart, versionEnd)
+  if (limit === -1) return null
+
+  const preOk = prereleaseTable(str, versionEnd)
+  // The index after the triplet, if a valid version follows the separator
+  // at sepIdx; else -1
+  const versionAt = sepIdx => {
+    const end = tripletEnd(str, sepIdx + 1, versionEnd)
+    if (end === versionEnd) return end
+    if (end !== -1 && str[end] === '-' && preOk[end + 1] === 1) return end
+    return -1
+  }
+  let sepIdx = -1
+  let tripEnd = -1
+  if (separator === VERSION_SIG) {
+    sepIdx = str.indexOf(VERSION_SIG)
+    if (sepIdx !== limit || sepIdx <= nameStart) return null
+    tripEnd = versionAt(sepIdx)
+  }
+  else {
+    // The hyphens are tried from the right. A triplet has no hyphen in it,
+    // so no two tries look at the same characters.
+    for (let i = Math.min(limit, versionEnd - 1); i > nameStart; --i) {
+      if (str[i] !== '-') continue
+      tripEnd = versionAt(i)
+      if (tripEnd !== -1) {
+        sepIdx = i
+        break
+      }
+    }
+  }
+  if (tripEnd === -1) return null
+
+  return {
+    name: str.slice(0, sepIdx),
+    triplet: str.slice(sepIdx + 1, tripEnd),
+    prerelease: tripEnd === versionEnd ? null : str.slice(tripEnd + 1, versionEnd),
+    build: plusIdx === -1 ? null : str.slice(plusIdx + 1, extStart),
+    extension: str.slice(extStart)
+  }
+}
+
+function parseEncoded(str) {
   // The input should be URI-encoded,
   // so the only trouble characters allowed are '@' and '%'
   if (RE_INVALID_CHARS.test(str)) return null
@@ -91,43 +401,346 @@ function parseFilename(str) {
   catch (err) { // malformed URI; probably invalid '%xx' sequence
     return null
   }
-  let matches = RE_VERSION_SIG.test(str)
-              ? RE_STRICT_PKGFILENAME.exec(str)
-              : RE_AMBIGUOUS_VERSION.test(str) ? null : RE_LOOSE_PKGFILENAME.exec(str)
-  if (matches) return {
+  const tagMatches = RE_INTEGRITY_TAG.exec(str)
+  if (!tagMatches) return parseDecoded(str)
+  const result = parseDecoded(str.slice(0, tagMatches.index) + tagMatches[3])
+  if (result) result.integrityPrefix = tagMatches[1] + '-' + tagMatches[2]
+  return result
+}
+
+function parseDecoded(str) {
+  const parts = str.indexOf(VERSION_SIG) !== -1
+              ? scanSemverFilename(str, VERSION_SIG)
+              : RE_AMBIGUOUS_VERSION.test(str) ? null : scanSemverFilename(str, '-')
+  if (parts) return {
     type: 'semver',
-    packageName: matches[1],
-    versionComparable: matches[2] + (matches[3] ? '-' + matches[3] : ''),
-    versionNumeric: matches[2],
-    prerelease: matches[3] || null,
-    build: matches[4] || null,
-    extension: matches[5]
+    packageName: parts.name,
+    versionComparable: parts.triplet + (parts.prerelease ? '-' + parts.prerelease : ''),
+    versionNumeric: parts.triplet,
+    prerelease: parts.prerelease,
+    build: parts.build,
+    extension: parts.extension,
+    archive: archiveType(parts.extension)
   }
 
-  matches = RE_GITREPO_FILENAME.exec(str)
+  let matches = RE_GITREPO_FILENAME.exec(str)
   if (matches) return {
     type: 'git',
     domain: matches[1],
     path: matches[2],
     repo: matches[1] + '/' + matches[2],
     commit: matches[3],
-    extension: matches[4]
+    hashAlgorithm: hashAlgorithm(matches[3]),
+    extension: matches[4],
+    archive: archiveType(matches[4])
   }
 
-  matches = url.parse(str)
-  if (matches.path) {
-    matches = path.parse(matches.path)
-    // This test does not assert that the input is an actual remote URL!
-    // It just has to contain a path with a directory and the name of a file in it.
-    if (matches.dir && matches.base) return {
+  matches = RE_TRUNCATED_FILENAME.exec(str)
+  if (matches) return parseTruncated(matches)
+
+  // What fails as one of these may still be of the url form, such as a
+  // file:// URL
+  const marked = str.indexOf(ALIAS_MARKER) !== -1 ? parseAliasForm(str)
+    : str.indexOf(FILE_MARKER) === 0 ? parseFileForm(str)
+    : null
+  if (marked) return marked
+
+  if (RE_URL_SCHEME.test(str)) return parseUrlForm(str)
+
+  // The older form, with no scheme. This test does not assert that the input
+  // is an actual remote URL! It just has to contain a path with a directory
+  // and the name of a file in it (anything from a '#' on is not path).
+  matches = path.parse(str.split('#')[0])
+  if (matches.dir && matches.base) {
+    const extMatch = RE_TARBALL_EXT.exec(str)
+    return {
       type: 'url',
-      url: str
+      url: str,
+      extension: extMatch ? extMatch[0] : null,
+      archive: extMatch ? archiveType(extMatch[0]) : null
     }
   }
 
   return null
 }
 
+function parseUrlForm(str) {
+  let href = str
+  let ext = null
+  let matches = RE_ADDED_URL_EXT.exec(str)
+  if (matches) {
+    href = str.slice(0, matches.index)
+    ext = matches[1]
+  }
+  else if ((matches = RE_TARBALL_EXT.exec(str))) ext = matches[0]
+  if (!usableUrl(href) || tarballUrl(href) !== href) return null
+  return {
+    type: 'url',
+    url: href,
+    extension: ext,
+    archive: ext ? archiveType(ext) : null
+  }
+}
+
+function parseAliasForm(str) {
+  const markerIdx = str.indexOf(ALIAS_MARKER)
+  const alias = str.slice(0, markerIdx)
+  const parts = RE_VALID_NAME_ONLY.test(alias)
+    ? scanSemverFilename(str.slice(markerIdx + ALIAS_MARKER.length), VERSION_SIG)
+    : null
+  if (!parts) return null
+  return {
+    type: 'alias',
+    alias: alias,
+    packageName: parts.name,
+    versionComparable: parts.triplet + (parts.prerelease ? '-' + parts.prerelease : ''),
+    versionNumeric: parts.triplet,
+    prerelease: parts.prerelease,
+    build: parts.build,
+    extension: parts.extension,
+    archive: archiveType(parts.extension)
+  }
+}
+
+function parseFileForm(str) {
+  const extMatch = RE_TARBALL_EXT.exec(str)
+  if (!extMatch) return null
+  const base = str.slice(0, extMatch.index)
+  const hashIdx = base.lastIndexOf(FILE_HASH_MARKER)
+  if (hashIdx === -1) return null
+  const filePath = base.slice(FILE_MARKER.length, hashIdx)
+  const hash = base.slice(hashIdx + FILE_HASH_MARKER.length)
+  if (!RE_CONTENT_HASH.test(hash) || normalizedFilePath(filePath) !== filePath)
+    return null
+  return {
+    type: 'file',
+    path: filePath,
+    hash: hash,
+    hashAlgorithm: hashAlgorithm(hash),
+    extension: extMatch[0],
+    archive: archiveType(extMatch[0])
+  }
+}
+
+// The hashes of an SRI string by the algorithms supported here, as
+// [{ algorithm, digest }], with digest in hex
+function sriHashes(integrity) {
+  return integrity.trim().split(/\s+/)
+    .map(item => RE_SRI_HASH.exec(item))
+    .filter(matches => matches)
+    .map(matches => ({
+      algorithm: matches[1],
+      digest: Buffer.from(matches[2], 'base64').toString('hex')
+    }))
+    .filter(hash => hash.digest.length === 2 * SRI_DIGEST_LENGTHS[hash.algorithm])
+}
+
+// What goes in a filename of the strongest hash of an SRI string
+function integrityPrefix(integrity) {
+  expectNonemptyString(integrity, 'integrity property')
+  const hashes = sriHashes(integrity)
+  if (!hashes.length)
+    throw codedError(Error, 'ERR_INVALID_INTEGRITY', 'integrity is not an SRI string with a SHA hash')
+  const strongest = hashes.reduce((a, b) =>
+    SRI_DIGEST_LENGTHS[b.algorithm] > SRI_DIGEST_LENGTHS[a.algorithm] ? b : a
+  )
+  return strongest.algorithm + '-' + strongest.digest.slice(0, INTEGRITY_PREFIX_LENGTH)
+}
+
+// Assumes that raw ends with a tarball extension
+function withIntegrityTag(raw, tag) {
+  if (!tag) return raw
+  const extIdx = RE_TARBALL_EXT.exec(raw).index
+  return raw.slice(0, extIdx) + tag + raw.slice(extIdx)
+}
+
+/*
+The path of a local package as it goes into a filename: relative, with
+'/' separators, and without '.' segments or a trailing separator. Returns
+null for a path that is absolute, or empty.
+*/
+function normalizedFilePath(str) {
+  const slashed = str.replace(/\\/g, '/')
+  if (!slashed || slashed[0] === '/' || /^[a-zA-Z]:/.test(slashed)) return null
+  return path.posix.normalize(slashed).replace(/\/+$/, '') || '.'
+}
+
+// Only what survived the shortening can be recovered from the name itself
+function parseTruncated(matches) {
+  const head = matches[1]
+  const type = matches[2]
+  const result = { type: type, truncated: true, digest: matches[3] }
+  switch (type) {
+    case 'semver':
+      const sigIdx = head.lastIndexOf(VERSION_SIG)
+      const vMatches = sigIdx === -1 ? null : RE_SEMVER_PARTS.exec(head.slice(sigIdx + 1))
+      if (!vMatches) return null
+      result.packageNamePrefix = head.slice(0, sigIdx)
+      result.versionComparable = vMatches[1] + (vMatches[2] ? '-' + vMatches[2] : '')
+      result.versionNumeric = vMatches[1]
+      result.prerelease = vMatches[2] || null
+      result.build = vMatches[3] || null
+      break
+    case 'git':
+      const gMatches = RE_TRUNCATED_GIT_HEAD.exec(head)
+      if (!gMatches) return null
+      result.domain = gMatches[1]
+      result.pathPrefix = gMatches[2]
+      result.commit = gMatches[3]
+      result.hashAlgorithm = hashAlgorithm(gMatches[3])
+      break
+    case 'url':
+      result.urlPrefix = head
+      break
+    case 'alias':
+      const aliasSigIdx = head.lastIndexOf(VERSION_SIG)
+      const aMatches = aliasSigIdx === -1 ? null : RE_SEMVER_PARTS.exec(head.slice(aliasSigIdx + 1))
+      if (!aMatches) return null
+      // What is left may stop short of the real name, or even of the marker
+      const names = head.slice(0, aliasSigIdx).split(ALIAS_MARKER)
+      result.aliasPrefix = names[0]
+      result.packageNamePrefix = names.length > 1 ? names[1] : null
+      result.versionComparable = aMatches[1] + (aMatches[2] ? '-' + aMatches[2] : '')
+      result.versionNumeric = aMatches[1]
+      result.prerelease = aMatches[2] || null
+      result.build = aMatches[3] || null
+      break
+    case 'file':
+      const hashIdx = head.lastIndexOf(FILE_HASH_MARKER)
+      const hash = hashIdx === -1 ? '' : head.slice(hashIdx + FILE_HASH_MARKER.length)
+      if (head.indexOf(FILE_MARKER) !== 0 || !RE_CONTENT_HASH.test(hash)) return null
+      result.pathPrefix = head.slice(FILE_MARKER.length, hashIdx)
+      result.hash = hash
+      result.hashAlgorithm = hashAlgorithm(hash)
+      break
+  }
+  result.extension = matches[4]
+  result.archive = archiveType(matches[4])
+  return result
+}
+
+/*
+Diagnosis of what's wrong with a string that is not a valid version, or with
+a filename that parse() rejects. Only called after the fact, so parse()
+doesn't pay for it. Returns { code, message, segment, position }, where
+position is the index of segment in the string examined.
+*/
+function diagnosis(code, message, segment, position) {
+  return { code: code, message: message, segment: segment, position: position }
+}
+
+function diagnoseVersion(version) {
+  const parts = /^([^-+]*)(?:-([^+]*))?(?:\+(.*))?$/.exec(version)
+  if (!RE_NUMERIC_TRIPLET.test(parts[1]))
+    return diagnosis('ERR_INVALID_VERSION',
+      `'${parts[1]}' is not a valid major.minor.patch triplet`, parts[1], 0)
+  if (parts[2] !== undefined && !RE_SEMVER_PRERELEASE.test(parts[2]))
+    return diagnosis('ERR_INVALID_PRERELEASE',
+      `'${parts[2]}' is not a valid pre-release`, parts[2], parts[1].length + 1)
+  if (parts[3] !== undefined && !RE_SEMVER_BUILD.test(parts[3]))
+    return diagnosis('ERR_INVALID_BUILD',
+      `'${parts[3]}' is not valid build metadata`, parts[3],
+      version.length - parts[3].length)
+  return null
+}
+
+// Where decodeURIComponent() fails, to within a run of escapes
+function findMalformedEncoding(str) {
+  const re = /(?:%[0-9a-fA-F]{2})+|%/g
+  let matches
+  while ((matches = re.exec(str))) {
+    if (matches[0] === '%')
+      return diagnosis('ERR_MALFORMED_ENCODING',
+        `'%' not followed by two hexadecimal digits`,
+        str.slice(matches.index, matches.index + 3), matches.index)
+    try { decodeURIComponent(matches[0]) }
+    catch (err) {
+      return diagnosis('ERR_MALFORMED_ENCODING',
+        `'${matches[0]}' does not decode to valid UTF-8`, matches[0], matches.index)
+    }
+  }
+  return diagnosis('ERR_MALFORMED_ENCODING', 'malformed encoding', str, 0)
+}
+
+// Positions after the decoding step are in terms of the decoded filename
+function diagnoseFilename(str) {
+  let matches = RE_INVALID_CHARS.exec(str)
+  if (matches) {
+    const c = matches[0]
+    return diagnosis('ERR_INVALID_CHAR',
+      matches.index === 0 && (c === '_' || c === '.')
+        ? `filename cannot start with '${c}'` : `illegal character '${c}'`,
+      c, matches.index)
+  }
+  try {
+    str = decodeURIComponent(str)
+  }
+  catch (err) {
+    return findMalformedEncoding(str)
+  }
+
+  matches = RE_TARBALL_EXT.exec(str)
+  if (!matches) {
+    let ext = path.extname(str)
+    // As in 'my-package-1.2.3', where there's no extension at all
+    if (/^\.\d*$/.test(ext)) ext = ''
+    return diagnosis('ERR_UNKNOWN_EXTENSION',
+      ext ? `extension '${ext}' not recognized` : 'no archive extension',
+      ext, str.length - ext.length)
+  }
+  const base = str.slice(0, matches.index)
+
+  if (base.indexOf('#~') !== -1)
+    return diagnosis('ERR_UNRECOGNIZED', 'malformed shortened name', base, 0)
+  const hashIdx = base.lastIndexOf('#')
+  if (hashIdx !== -1) {
+    const commit = base.slice(hashIdx + 1)
+    if (!RE_COMMIT_HASH.test(commit))
+      return diagnosis('ERR_INVALID_COMMIT',
+        `'${commit}' is not a valid commit hash`, commit, hashIdx + 1)
+    return diagnosis('ERR_UNRECOGNIZED',
+      'expected domain/path before the commit', base.slice(0, hashIdx), 0)
+  }
+
+  const sigIdx = base.indexOf(VERSION_SIG)
+  if (sigIdx !== -1) {
+    const name = base.slice(0, sigIdx)
+    if (!RE_VALID_NAME_ONLY.test(name))
+      return diagnosis('ERR_INVALID_NAME',
+        `'${name}' is not a valid package name`, name, 0)
+    const problem = diagnoseVersion(base.slice(sigIdx + 1))
+    if (problem) {
+      problem.position += sigIdx + 1
+      return problem
+    }
+    return diagnosis('ERR_UNRECOGNIZED', 'not a recognized form', base, 0)
+  }
+
+  matches = RE_AMBIGUOUS_SEGMENT.exec(base)
+  if (matches)
+    return diagnosis('ERR_AMBIGUOUS_VERSION',
+      `'${matches[1]}' could be read as part of the name or as the version`,
+      matches[1], matches.index + 1)
+
+  // The first hyphen that is followed by something like a version is the
+  // one to report on. Looking at each later one as well would take time
+  // quadratic in the length of the name, and tell no more.
+  matches = /-(?=\d+\.\d+\.\d+(?:[-+]|$))/.exec(base)
+  if (matches) {
+    const name = base.slice(0, matches.index)
+    const problem = !RE_VALID_NAME_ONLY.test(name)
+      ? diagnosis('ERR_INVALID_NAME', `'${name}' is not a valid package name`, name, 0)
+      : diagnoseVersion(base.slice(matches.index + 1))
+    if (problem) {
+      if (problem.code !== 'ERR_INVALID_NAME') problem.position += matches.index + 1
+      return problem
+    }
+  }
+  if (!/-\d+\.\d+\.\d+/.test(base))
+    return diagnosis('ERR_NO_VERSION', 'no version (major.minor.patch) found', base, 0)
+  return diagnosis('ERR_UNRECOGNIZED', 'not a recognized form', base, 0)
+}
+
 // Works with a tarball filename even if it doesn't conform to all
 // package name rules implemented here.
 function hasTarballExt(str) {
@@ -144,48 +757,2664 @@ function isVersionAmbiguous(name, version) {
   return RE_AMBIGUOUS_VERSION.test(str)
 }
 
-function makeTarballName(data) {
+/*
+Every way to split str at a hyphen into a valid name and a valid version,
+most plausible first. A split is less plausible if the name is not valid
+for a new package, if the name has a numeric triplet as a hyphen-separated
+part, or if the pre-release starts with one; after that, the shorter name
+wins. Worked out in one pass over the hyphens, as in scanSemverFilename(),
+so the time taken is linear in the length of str (apart from the copies
+of the version in the result, of which there are only so many, since a
+name can't be longer than MAX_NAME_LENGTH).
+*/
+function analyzeNameVersion(str) {
+  expectNonemptyString(str, 'argument')
+
+  const plusIdx = str.indexOf('+')
+  const versionEnd = plusIdx === -1 ? str.length : plusIdx
+  let nameStart = 0
+  if (str[0] === '@') {
+    const scopeEnd = nameLimit(str, 1, versionEnd)
+    nameStart = scopeEnd !== -1 && str[scopeEnd] === '/' ? scopeEnd + 1 : -1
+  }
+  const limit = nameStart === -1 ? -1 : nameLimit(str, nameStart, versionEnd)
+  if (limit === -1 || (plusIdx !== -1 && !isValidBuild(str, plusIdx + 1, str.length)))
+    return { splits: [], ambiguous: false }
+
+  // Each hyphen, with whether a triplet follows it as a whole part
+  const preOk = prereleaseTable(str, versionEnd)
+  const hyphens = []
+  for (let i = str.indexOf('-', nameStart + 1); i !== -1 && i < versionEnd; i = str.indexOf('-', i + 1)) {
+    const end = tripletEnd(str, i + 1, versionEnd)
+    const isPart = end !== -1 && (end === versionEnd || str[end] === '-' || str[end] === '.')
+    hyphens.push({ index: i, tripletEnd: end, tripletPart: isPart })
+  }
+  // Every split joins up to str again, so makeTarballName() makes the same
+  // choice for all of them by default: the version signal if str is caught
+  // by isVersionAmbiguous(). In strict mode, it also takes the signal for
+  // any split other than the one that parse() reads str as.
+  const signalled = RE_AMBIGUOUS_VERSION.test(str)
+  const hyphenParts = signalled ? null : scanSemverFilename(str + '.tgz', '-')
+
+  const splits = []
+  let nameHasTriplet = false
+  for (let n = 0; n < hyphens.length; ++n) {
+    const h = hyphens[n]
+    if (n && hyphens[n - 1].tripletPart && hyphens[n - 1].tripletEnd <= h.index)
+      nameHasTriplet = true
+    // A name longer than npm allows is not considered, which also keeps
+    // the number of splits within bounds
+    if (h.index > limit || h.index > MAX_NAME_LENGTH) break
+    const end = h.tripletEnd
+    if (end === -1 || !(end === versionEnd || (str[end] === '-' && preOk[end + 1] === 1)))
+      continue
+    const name = str.slice(0, h.index)
+    const validity = validatePackageName(name)
+    if (!validity.validForOldPackages) continue
+    const next = hyphens[n + 1]
+    splits.push({
+      name: name,
+      version: str.slice(h.index + 1),
+      validForNewPackages: validity.validForNewPackages,
+      versionSignal: signalled,
+      strictVersionSignal: !hyphenParts || hyphenParts.name !== name,
+      // A pre-release that starts with a triplet starts at the next hyphen
+      oddity: (validity.validForNewPackages ? 0 : 2) + (nameHasTriplet ? 1 : 0) +
+        (next && next.index === end && next.tripletPart ? 1 : 0)
+    })
+  }
+  splits.sort((a, b) => a.oddity - b.oddity || a.name.length - b.name.length)
+  splits.forEach((split, i) => {
+    delete split.oddity
+    split.rank = i + 1
+  })
+  return { splits: splits, ambiguous: splits.length > 1 }
+}
+
+// Returns the URL object, or null if str is not fit to be the url
+// of key data of type 'url'
+function usableUrl(str) {
+  let u
+  let expected
+  try {
+    u = new URL(str)
+    // Characters outside ASCII are allowed as they are, but nothing else
+    // that the URL parser would change
+    expected = str.replace(/[^\x00-\x7F]+/g, encodeURI)
+  }
+  catch (err) { return null } // not a URL, or a lone surrogate
+  if (!u.host || u.pathname + u.search === '/' || u.href !== expected)
+    return null
+  return u
+}
+
+// The url as a filename keeps it: credentials are never written to disk,
+// and the fragment is not part of the address of the tarball.
+// Assumes that str has already passed usableUrl()
+function tarballUrl(str) {
+  return str.replace(RE_URL_USERINFO, '$1').split('#')[0]
+}
+
+/*
+The rules applied by npm to package names. A name that breaks one of the
+rules that came later in npm's history gets a warning rather than an error:
+it can't be used for a new package, but there are old packages that have it.
+*/
+const BLACKLISTED_NAMES = [ 'node_modules', 'favicon.ico' ]
+const MAX_NAME_LENGTH = 214
+const RE_SCOPED_NAME = /^(?:@([^\/]+?)[\/])?([^\/]+?)$/
+
+function validatePackageName(name) {
+  const warnings = []
+  const errors = []
+
+  if (name === null) errors.push('name cannot be null')
+  else if (name === undefined) errors.push('name cannot be undefined')
+  else if (typeof name !== 'string') errors.push('name must be a string')
+  if (errors.length) return {
+    validForNewPackages: false,
+    validForOldPackages: false,
+    warnings: warnings,
+    errors: errors
+  }
+
+  if (!name.length)
+    errors.push('name length must be greater than zero')
+  if (name.startsWith('.'))
+    errors.push('name cannot start with a period')
+  if (name.startsWith('_'))
+    errors.push('name cannot start with an underscore')
+  if (name.trim() !== name)
+    errors.push('name cannot contain leading or trailing spaces')
+  if (BLACKLISTED_NAMES.includes(name.toLowerCase()))
+    errors.push(`${name} is a blacklisted name`)
+
+  if (builtinModules.includes(name.toLowerCase()))
+    warnings.push(`${name} is a core module name`)
+  if (name.length > MAX_NAME_LENGTH)
+    warnings.push(`name can no longer contain more than ${MAX_NAME_LENGTH} characters`)
+  if (name.toLowerCase() !== name)
+    warnings.push('name can no longer contain capital letters')
+  if (/[~'!()*]/.test(name.split('/').slice(-1)[0]))
+    warnings.push('name can no longer contain special characters ("~\'!()*")')
+
+  if (encodeURIComponent(name) !== name) {
+    const matches = RE_SCOPED_NAME.exec(name)
+    const isGoodScoped = matches && matches[1] !== undefined &&
+      encodeURIComponent(matches[1]) === matches[1] &&
+      encodeURIComponent(matches[2]) === matches[2]
+    if (!isGoodScoped)
+      errors.push('name can only contain URL-friendly characters')
+  }
+
+  return {
+    validForNewPackages: !errors.length && !warnings.length,
+    validForOldPackages: !errors.length,
+    warnings: warnings,
+    errors: errors
+  }
+}
+
+// For strict mode: tells whether the filename gives back what it was made from
+function roundTrips(data, filename) {
+  const p = parseFilename(filename)
+  const prefix = data.integrity === undefined ? undefined : integrityPrefix(data.integrity)
+  let ok = p && p.type === data.type && p.integrityPrefix === prefix
+  if (ok && p.truncated) return p.digest === keyDataDigest(data)
+  if (ok) switch (data.type) {
+    case 'semver':
+      ok = p.packageName === data.name &&
+        p.versionComparable + (p.build ? '+' + p.build : '') === data.version
+      break
+    case 'git':
+      ok = p.domain === data.domain && p.path === data.path &&
+        p.commit === data.commit
+      break
+    case 'url':
+      ok = p.url === tarballUrl(data.url)
+      break
+    case 'alias':
+      ok = p.alias === data.alias && p.packageName === data.name &&
+        p.versionComparable + (p.build ? '+' + p.build : '') === data.version
+      break
+    case 'file':
+      ok = p.path === normalizedFilePath(data.path) && p.hash === data.hash
+      break
+  }
+  return !!ok
+}
+
+/*
+encodeURIComponent() leaves some characters alone that are not safe on
+every filesystem ('*' is illegal on Windows), so the portable encoding
+escapes those as well. It also escapes the first character of a name that
+Windows would take for a device. decodeURIComponent() undoes all of it.
+*/
+function percentEscape(c) {
+  return '%' + c.charCodeAt(0).toString(16).toUpperCase()
+}
+
+function encodeName(raw, portable) {
+  let name = encodeURIComponent(raw)
+  if (portable) {
+    name = name.replace(/[!'()*~]/g, percentEscape)
+    if (RE_RESERVED_DEVICE_NAME.test(name.split('.')[0]))
+      name = percentEscape(name[0]) + name.slice(1)
+  }
+  return name
+}
+
+/*
+Makes the longest name within maxLength that has the form matched by
+RE_TRUNCATED_FILENAME, by cutting the middle part of raw (as marked off by
+fixedParts) at a code point boundary. Any integrity tag goes after the digest.
+*/
+function shortenedName(data, raw, fixedParts, maxLength, portable, tag) {
+  const rawExt = RE_TARBALL_EXT.exec(raw)[0]
+  const before = fixedParts[0]
+  const after = fixedParts[1]
+  const variable = Array.from(
+    raw.slice(before.length, raw.length - after.length - rawExt.length)
+  )
+  const tail = [ '#~', data.type, '~', keyDataDigest(data), tag, rawExt ].join('')
+  const build = n =>
+    encodeName(before + variable.slice(0, n).join('') + after + tail, portable)
+
+  if (build(0).length > maxLength)
+    throw codedError(Error, 'ERR_MAX_LENGTH_TOO_SMALL', `maxLength ${maxLength} is too small for this key data`)
+  let lo = 0
+  let hi = variable.length
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2)
+    if (build(mid).length <= maxLength) lo = mid
+    else hi = mid - 1
+  }
+  return build(lo)
+}
+
+function makeTarballName(data, options) {
   if (data === undefined || data === null)
-    throw new SyntaxError('information required')
+    throw codedError(SyntaxError, 'ERR_MISSING_VALUE', 'information required')
   if (typeof data !== 'object')
-    throw new TypeError('argument must be an object')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'argument must be an object')
   if (Object.getPrototypeOf(data) != Object.getPrototypeOf({}))
-    throw new TypeError('argument must be a plain object')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'argument must be a plain object')
   expectNonemptyString(data.type, 'type property')
+  if (options === undefined || options === null) options = {}
+  else if (typeof options !== 'object')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'options must be an object')
+  if (options.scheme !== undefined && options.scheme !== DEFAULT_SCHEME)
+    return namingScheme(options.scheme).make(data, schemeOptions(options))
 
   const defaultExt = '.tar.gz'
+  let ext = defaultExt
+  if (options.extension !== undefined) {
+    expectNonemptyString(options.extension, 'extension option')
+    if (!RE_TARBALL_EXT_ONLY.test(options.extension))
+      throw codedError(Error, 'ERR_UNKNOWN_EXTENSION', `extension '${options.extension}' not recognized`)
+    ext = options.extension
+  }
+  if (options.maxLength !== undefined) {
+    if (typeof options.maxLength !== 'number')
+      throw codedError(TypeError, 'ERR_INVALID_TYPE', 'maxLength option must be a number')
+    if (!(Number.isInteger(options.maxLength) && options.maxLength > 0))
+      throw codedError(Error, 'ERR_INVALID_OPTION', 'maxLength option must be a positive integer')
+  }
+  const tag = data.integrity === undefined ? '' : '#' + integrityPrefix(data.integrity)
   let raw
+  let shortenable
+  // What goes before and after the part of raw that may be shortened
+  let fixedParts
   switch (data.type) {
     case 'semver':
       expectNonemptyString(data.name, 'name property')
       expectNonemptyString(data.version, 'version property')
-      if (!RE_VALID_SEMVER.test(data.version))
-        throw new Error('version is not valid by semver 2.0')
+      if (!RE_VALID_SEMVER.test(data.version)) {
+        const problem = diagnoseVersion(data.version)
+        throw codedError(Error, problem.code,
+          'version is not valid by semver 2.0: ' + problem.message)
+      }
+      if (options.strict) {
+        const validity = validatePackageName(data.name)
+        if (!validity.validForNewPackages)
+          throw codedError(Error, 'ERR_INVALID_NAME',
+            'name is not valid for npm: ' + validity.errors.concat(validity.warnings).join('; ')
+          )
+      }
       if (isVersionAmbiguous(data.name, data.version))
-        raw = [ data.name, '%', data.version, defaultExt ].join('')
+        raw = [ data.name, '%', data.version, ext ].join('')
       else
-        raw = [ data.name, '-', data.version, defaultExt ].join('')
+        raw = [ data.name, '-', data.version, ext ].join('')
+      // There are splits that isVersionAmbiguous() doesn't catch, for which
+      // the hyphen would be misread; the version signal removes all doubt
+      if (options.strict &&
+          !roundTrips(data, encodeName(withIntegrityTag(raw, tag), options.portable)))
+        raw = [ data.name, '%', data.version, ext ].join('')
+      // A shortened name always gets the version signal
+      fixedParts = [ '', VERSION_SIG + data.version ]
       break;
     case 'git':
       expectNonemptyString(data.domain, 'domain property')
       expectNonemptyString(data.path, 'path property')
       expectNonemptyString(data.commit, 'commit property')
       if (!RE_COMMIT_HASH.test(data.commit))
-        throw new Error('commit is not a valid commit hash')
+        throw codedError(Error, 'ERR_INVALID_COMMIT', 'commit is not a valid commit hash')
       raw = [
-        data.domain, '/', data.path, '#', data.commit, defaultExt
+        data.domain, '/', data.path, '#', data.commit, ext
       ].join('')
+      fixedParts = [ data.domain + '/', '#' + data.commit ]
       break;
     case 'url':
       expectNonemptyString(data.url, 'url property')
-      const u = url.parse(data.url)
-      if (!(u.protocol && u.slashes && u.host && u.path) || u.path === '/' || u.href !== data.url)
-        throw new Error('value given for url does not look usable')
-      raw = u.host + u.path
-      if (!hasTarballExt(raw)) raw += defaultExt
+      const u = usableUrl(data.url)
+      if (!u)
+        throw codedError(Error, 'ERR_INVALID_URL', 'value given for url does not look usable')
+      const href = tarballUrl(data.url)
+      const addExt = options.extension === undefined
+        ? !RE_LEGACY_TARBALL_EXT.test(href)
+        : !href.toLowerCase().endsWith(ext.toLowerCase())
+      raw = addExt ? href + '#' + ext : href
+      // A shortened name has no need of the '#', having the digest
+      shortenable = addExt ? href + ext : href
+      fixedParts = [ u.protocol + '//' + u.host, '' ]
+      break;
+    case 'alias':
+      expectNonemptyString(data.alias, 'alias property')
+      expectNonemptyString(data.name, 'name property')
+      expectNonemptyString(data.version, 'version property')
+      ;[ data.alias, data.name ].forEach(name => {
+        if (!RE_VALID_NAME_ONLY.test(name))
+          throw codedError(Error, 'ERR_INVALID_NAME', `'${name}' is not a valid package name`)
+      })
+      if (!RE_VALID_SEMVER.test(data.version)) {
+        const problem = diagnoseVersion(data.version)
+        throw codedError(Error, problem.code,
+          'version is not valid by semver 2.0: ' + problem.message)
+      }
+      raw = [ data.alias, ALIAS_MARKER, data.name, VERSION_SIG, data.version, ext ].join('')
+      fixedParts = [ '', VERSION_SIG + data.version ]
+      break;
+    case 'file':
+      expectNonemptyString(data.path, 'path property')
+      expectNonemptyString(data.hash, 'hash property')
+      const filePath = normalizedFilePath(data.path)
+      if (filePath === null)
+        throw codedError(Error, 'ERR_INVALID_PATH', 'path must be relative')
+      if (!RE_CONTENT_HASH.test(data.hash))
+        throw codedError(Error, 'ERR_INVALID_HASH', 'hash is not a hex SHA-1, SHA-256 or SHA-512 digest')
+      raw = [ FILE_MARKER, filePath, FILE_HASH_MARKER, data.hash, ext ].join('')
+      fixedParts = [ FILE_MARKER, FILE_HASH_MARKER + data.hash ]
       break;
     default:
-      throw new Error(`Type '${data.type}' not recognized`)
+      throw codedError(Error, 'ERR_UNKNOWN_TYPE', `Type '${data.type}' not recognized`)
+  }
+  let filename = encodeName(withIntegrityTag(raw, tag), options.portable)
+  if (options.maxLength !== undefined && filename.length > options.maxLength) {
+    filename = shortenedName(
+      data, shortenable || raw, fixedParts, options.maxLength, options.portable, tag
+    )
   }
-  return encodeURIComponent(raw)
+  if (options.strict && !roundTrips(data, filename))
+    throw codedError(Error, 'ERR_ROUND_TRIP', 'filename would not parse back to the given key data')
+  return filename
+}
+
+// The maps by name have no prototype, so that a package named after a
+// property of Object.prototype (such as 'constructor') is like any other
+function newInventory() {
+  return {
+    semver: Object.create(null),
+    git: Object.create(null),
+    url: [],
+    alias: Object.create(null),
+    file: [],
+    truncated: [],
+    unrecognized: [],
+    nonTarballs: []
+  }
+}
+
+function addToInventory(inv, filename) {
+  if (!hasTarballExt(filename)) {
+    inv.nonTarballs.push(filename)
+    return
+  }
+  const data = parseFilename(filename)
+  if (!data) {
+    inv.unrecognized.push(filename)
+    return
+  }
+  const entry = Object.assign({ filename: filename }, data)
+  if (data.truncated) {
+    inv.truncated.push(entry)
+    return
+  }
+  const addTo = (map, key) => {
+    if (!Object.prototype.hasOwnProperty.call(map, key)) map[key] = []
+    map[key].push(entry)
+  }
+  switch (data.type) {
+    case 'semver':
+      addTo(inv.semver, data.packageName)
+      break
+    case 'git':
+      addTo(inv.git, data.repo)
+      break
+    case 'url':
+      inv.url.push(entry)
+      break
+    case 'alias':
+      addTo(inv.alias, data.alias)
+      break
+    case 'file':
+      inv.file.push(entry)
+      break
+  }
+}
+
+// The names of the entries that are not directories, sorted
+function sortedFilenames(dirents) {
+  return dirents.filter(d => !d.isDirectory()).map(d => d.name).sort()
+}
+
+// Nested directories are of no interest; everything else in the listing
+// is accounted for in exactly one place in the inventory.
+function inventoryFromDirents(dirents) {
+  const inv = newInventory()
+  const names = sortedFilenames(dirents)
+  for (let i = 0; i < names.length; ++i)
+    addToInventory(inv, names[i])
+  return inv
+}
+
+function scanDirectory(dir) {
+  return new Promise((resolve, reject) => {
+    expectNonemptyString(dir, 'directory argument')
+    fs.readdir(dir, { withFileTypes: true }, (err, dirents) => {
+      if (err) return reject(err)
+      resolve(inventoryFromDirents(dirents))
+    })
+  })
+}
+
+function scanDirectorySync(dir) {
+  expectNonemptyString(dir, 'directory argument')
+  return inventoryFromDirents(fs.readdirSync(dir, { withFileTypes: true }))
+}
+
+/*
+Version precedence, per Semantic Versioning 2.0.0, section 11.
+Internally a version is represented by its numeric triplet as an array of
+digit strings, and its pre-release identifiers as an array (empty if none).
+Build metadata plays no part in precedence, so it is not kept.
+*/
+
+// Digit strings without leading zeros compare correctly by length first,
+// and this way there is no limit on magnitude
+function compareNumericIds(a, b) {
+  if (a.length !== b.length) return a.length < b.length ? -1 : 1
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+function comparePrereleaseIds(a, b) {
+  const aIsNum = /^\d+$/.test(a)
+  const bIsNum = /^\d+$/.test(b)
+  if (aIsNum && bIsNum) return compareNumericIds(a, b)
+  if (aIsNum) return -1
+  if (bIsNum) return 1
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+function compareVersionParts(a, b) {
+  for (let i = 0; i < 3; ++i) {
+    const diff = compareNumericIds(a.nums[i], b.nums[i])
+    if (diff) return diff
+  }
+  // A version without a pre-release has the higher precedence
+  if (!a.pre.length || !b.pre.length)
+    return a.pre.length === b.pre.length ? 0 : a.pre.length ? -1 : 1
+  const len = Math.min(a.pre.length, b.pre.length)
+  for (let i = 0; i < len; ++i) {
+    const diff = comparePrereleaseIds(a.pre[i], b.pre[i])
+    if (diff) return diff
+  }
+  return a.pre.length === b.pre.length ? 0 : a.pre.length < b.pre.length ? -1 : 1
+}
+
+// Accepts a version string, or a parse() result of type 'semver'
+function toVersionParts(val, label) {
+  if (val === undefined || val === null)
+    throw codedError(SyntaxError, 'ERR_MISSING_VALUE', `no ${label} given`)
+  if (typeof val === 'string') {
+    const matches = RE_SEMVER_PARTS.exec(val)
+    if (!matches)
+      throw codedError(Error, 'ERR_INVALID_VERSION', `${label} is not valid by semver 2.0`)
+    return {
+      nums: matches[1].split('.'),
+      pre: matches[2] ? matches[2].split('.') : []
+    }
+  }
+  if (typeof val !== 'object' || val.type !== 'semver')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', `${label} must be a version string or a parse() result of type "semver"`)
+  if (typeof val.versionNumeric !== 'string' || !RE_NUMERIC_TRIPLET.test(val.versionNumeric) ||
+      (val.prerelease && !RE_SEMVER_PRERELEASE.test(val.prerelease)))
+    throw codedError(Error, 'ERR_INVALID_VERSION', `${label} does not hold a version valid by semver 2.0`)
+  return {
+    nums: val.versionNumeric.split('.'),
+    pre: val.prerelease ? val.prerelease.split('.') : []
+  }
+}
+
+function compareVersions(a, b) {
+  return compareVersionParts(
+    toVersionParts(a, 'first argument'), toVersionParts(b, 'second argument')
+  )
+}
+
+/*
+A range is parsed into an array of comparator sets (one per '||' alternative),
+each of which is an array of primitive comparators { op, nums, pre }.
+An empty comparator set matches any version.
+*/
+function comparator(op, major, minor, patch, pre) {
+  return {
+    op: op,
+    nums: [ String(major), String(minor), String(patch) ],
+    pre: pre || []
+  }
+}
+
+// Adds one to a digit string, digit by digit, so that here too there is no
+// limit on magnitude
+function inc(digits) {
+  let i = digits.length - 1
+  while (i >= 0 && digits[i] === '9') --i
+  const carried = '0'.repeat(digits.length - 1 - i)
+  if (i < 0) return '1' + carried
+  return digits.slice(0, i) + String.fromCharCode(digits.charCodeAt(i) + 1) + carried
+}
+
+function parsePartialVersion(str, range) {
+  const matches = RE_PARTIAL_VERSION.exec(str)
+  if (!matches) throw codedError(Error, 'ERR_INVALID_RANGE', `'${range}' is not a valid version range`)
+  const isX = v => v === undefined || /^[xX*]$/.test(v)
+  const p = {
+    major: isX(matches[1]) ? null : matches[1],
+    minor: isX(matches[2]) ? null : matches[2],
+    patch: isX(matches[3]) ? null : matches[3],
+    pre: matches[4] ? matches[4].split('.') : []
+  }
+  // Once a component is an X, any that follow it are treated as X as well
+  if (p.major === null) p.minor = null
+  if (p.minor === null) p.patch = null
+  return p
+}
+
+function xRangeComparators(p) {
+  if (p.major === null) return []
+  if (p.minor === null) return [
+    comparator('>=', p.major, 0, 0), comparator('<', inc(p.major), 0, 0)
+  ]
+  if (p.patch === null) return [
+    comparator('>=', p.major, p.minor, 0), comparator('<', p.major, inc(p.minor), 0)
+  ]
+  return [ comparator('=', p.major, p.minor, p.patch, p.pre) ]
+}
+
+function tildeComparators(p) {
+  if (p.patch === null) return xRangeComparators(p)
+  return [
+    comparator('>=', p.major, p.minor, p.patch, p.pre),
+    comparator('<', p.major, inc(p.minor), 0)
+  ]
+}
+
+function caretComparators(p) {
+  if (p.minor === null) return xRangeComparators(p)
+  if (p.patch === null) return p.major !== '0'
+    ? [ comparator('>=', p.major, p.minor, 0), comparator('<', inc(p.major), 0, 0) ]
+    : xRangeComparators(p)
+  const lower = comparator('>=', p.major, p.minor, p.patch, p.pre)
+  if (p.major !== '0')
+    return [ lower, comparator('<', inc(p.major), 0, 0) ]
+  if (p.minor !== '0')
+    return [ lower, comparator('<', 0, inc(p.minor), 0) ]
+  return [ lower, comparator('<', 0, 0, inc(p.patch)) ]
+}
+
+function primitiveComparators(op, p) {
+  if (p.major === null)
+    // '<*' and '>*' can't be satisfied; '<=*' and '>=*' are satisfied by anything
+    return op.length === 1 ? [ comparator('<', 0, 0, 0, [ '0' ]) ] : []
+  if (p.patch !== null)
+    return [ comparator(op, p.major, p.minor, p.patch, p.pre) ]
+  const minor = p.minor === null ? 0 : p.minor
+  switch (op) {
+    case '>':
+      return p.minor === null
+        ? [ comparator('>=', inc(p.major), 0, 0) ]
+        : [ comparator('>=', p.major, inc(p.minor), 0) ]
+    case '<=':
+      return p.minor === null
+        ? [ comparator('<', inc(p.major), 0, 0) ]
+        : [ comparator('<', p.major, inc(p.minor), 0) ]
+    default: // '>=' or '<'
+      return [ comparator(op, p.major, minor, 0) ]
+  }
+}
+
+function hyphenComparators(from, to, range) {
+  const lo = parsePartialVersion(from, range)
+  const hi = parsePartialVersion(to, range)
+  const result = []
+  if (lo.major !== null) result.push(comparator(
+    '>=', lo.major, lo.minor || 0, lo.patch || 0, lo.patch === null ? [] : lo.pre
+  ))
+  if (hi.major !== null) {
+    if (hi.minor === null)
+      result.push(comparator('<', inc(hi.major), 0, 0))
+    else if (hi.patch === null)
+      result.push(comparator('<', hi.major, inc(hi.minor), 0))
+    else
+      result.push(comparator('<=', hi.major, hi.minor, hi.patch, hi.pre))
+  }
+  return result
+}
+
+function parseComparatorSet(set, range) {
+  const hyphenated = RE_HYPHEN_RANGE.exec(set)
+  if (hyphenated) return hyphenComparators(hyphenated[1], hyphenated[2], range)
+  if (!set) return []
+
+  const tokens = set.replace(/(<=|>=|<|>|=|~>?|\^)\s+/g, '$1').split(/\s+/)
+  let result = []
+  for (let i = 0; i < tokens.length; ++i) {
+    const matches = RE_RANGE_OPERATOR.exec(tokens[i])
+    const op = matches[1] || '='
+    const p = parsePartialVersion(matches[2], range)
+    switch (op) {
+      case '=': result = result.concat(xRangeComparators(p)); break
+      case '~':
+      case '~>': result = result.concat(tildeComparators(p)); break
+      case '^': result = result.concat(caretComparators(p)); break
+      default: result = result.concat(primitiveComparators(op, p))
+    }
+  }
+  return result
+}
+
+function parseRange(range) {
+  expectString(range, 'range')
+  return range.split('||').map(set => parseComparatorSet(set.trim(), range))
+}
+
+function testComparator(v, c) {
+  const diff = compareVersionParts(v, c)
+  switch (c.op) {
+    case '=': return diff === 0
+    case '<': return diff < 0
+    case '<=': return diff <= 0
+    case '>': return diff > 0
+    case '>=': return diff >= 0
+  }
+}
+
+// As with npm, a version with a pre-release only satisfies a comparator set
+// if some comparator in the set has a pre-release on the same numeric triplet
+function satisfiesRangeSets(v, sets) {
+  return sets.some(set => {
+    if (!set.every(c => testComparator(v, c))) return false
+    if (!v.pre.length) return true
+    return set.some(c =>
+      c.pre.length && c.nums.every((n, i) => n === v.nums[i])
+    )
+  })
+}
+
+function satisfies(version, range) {
+  const v = toVersionParts(version, 'version')
+  return satisfiesRangeSets(v, parseRange(range))
+}
+
+function latest(entries, range) {
+  if (entries === undefined || entries === null)
+    throw codedError(SyntaxError, 'ERR_MISSING_VALUE', 'no entries given')
+  if (!Array.isArray(entries))
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'entries must be an array')
+  const sets = parseRange(range === undefined ? '*' : range)
+
+  let best = null
+  let bestParts
+  for (let i = 0; i < entries.length; ++i) {
+    const item = entries[i]
+    // Allows a mix of types, such as an array of parse() results
+    if (item && typeof item === 'object' && item.type !== 'semver') continue
+    const v = toVersionParts(item, 'entry')
+    if (!satisfiesRangeSets(v, sets)) continue
+    if (best === null || compareVersionParts(v, bestParts) > 0) {
+      best = item
+      bestParts = v
+    }
+  }
+  return best
+}
+
+/*
+Conversion between npm package specs and key data.
+Only specs that pin an exact version or commit can identify a tarball.
+*/
+const HOSTED_GIT_DOMAINS = {
+  github: 'github.com',
+  gitlab: 'gitlab.com',
+  bitbucket: 'bitbucket.org',
+  gist: 'gist.github.com'
+}
+const RE_HOSTED_GIT_SPEC = /^(github|gitlab|bitbucket|gist):([^#]+?)(?:#(.*))?$/
+// Also matches the scp-like form 'git+ssh://git@host:user/repo.git'
+const RE_GIT_URL_SPEC = new RegExp([
+  '^git(?:\\+(?:ssh|https?))?:\\/\\/(?:[^@\\/]+@)?',
+  '([^\\/:#]+(?::\\d+(?=\\/))?)[:\\/]([^#]+?)(?:\\.git)?\\/?(?:#(.*))?$'
+].join(''))
+const RE_GITHUB_SHORTHAND = /^([^@.\/:#][^@\/:#]*\/[^@\/:#]+?)(?:#(.*))?$/
+const RE_NAME_AT_VERSION = /^((?:@[^@\/]+\/)?[^@\/]+)(?:@(.*))?$/
+
+function rejectSpec(spec, reason, code) {
+  throw codedError(Error, code || 'ERR_UNUSABLE_SPEC', `spec '${spec}' cannot be used: ${reason}`)
+}
+
+/*
+Expands a host shorthand or git URL into the domain and path of the repo.
+The path has any '.git' suffix removed.
+Returns null if str is not recognized as a reference to a git repo.
+*/
+function normalizeGitRepo(str) {
+  expectString(str, 'argument')
+
+  let domain, repoPath, committish
+  let matches = RE_HOSTED_GIT_SPEC.exec(str)
+  if (matches) {
+    domain = HOSTED_GIT_DOMAINS[matches[1]]
+    repoPath = matches[2].replace(/\.git$/, '')
+    committish = matches[3]
+  }
+  else if ((matches = RE_GIT_URL_SPEC.exec(str))) {
+    domain = matches[1]
+    repoPath = matches[2]
+    committish = matches[3]
+  }
+  else if ((matches = RE_GITHUB_SHORTHAND.exec(str))) {
+    domain = HOSTED_GIT_DOMAINS.github
+    repoPath = matches[1].replace(/\.git$/, '')
+    committish = matches[2]
+  }
+  else return null
+
+  const isFullHash = committish !== undefined && RE_COMMIT_HASH.test(committish)
+  return {
+    domain: domain,
+    path: repoPath,
+    repo: domain + '/' + repoPath,
+    committish: committish || null,
+    commit: isFullHash ? committish : null,
+    hashAlgorithm: isFullHash ? hashAlgorithm(committish) : null
+  }
+}
+
+function gitKeyData(spec, gitInfo) {
+  const committish = gitInfo.committish
+  if (!committish)
+    rejectSpec(spec, 'no commit given', 'ERR_UNPINNED_COMMIT')
+  if (!gitInfo.commit) {
+    if (RE_ABBREVIATED_HASH.test(committish)) {
+      rejectSpec(spec, `'${committish}' is an abbreviated commit hash; the full hash is required`,
+        'ERR_UNPINNED_COMMIT')
+    }
+    rejectSpec(spec, `'${committish}' is not a commit hash (a branch, tag, or range does not pin a commit)`,
+      'ERR_UNPINNED_COMMIT')
+  }
+  return {
+    type: 'git',
+    domain: gitInfo.domain,
+    path: gitInfo.path,
+    commit: gitInfo.commit
+  }
+}
+
+// Key data from value, the whole of spec or what follows 'name@' in it, if it
+// is a spec of some other kind than a registry version; else null
+function otherSpecKeyData(spec, value, name) {
+  if (/^npm:/.test(value)) {
+    // The alias is the name that the package is installed under
+    if (name === undefined)
+      rejectSpec(spec, 'no alias given (an alias is written as alias@npm:name@version)')
+    const real = registryKeyData(spec, value.slice('npm:'.length))
+    return { type: 'alias', alias: name, name: real.name, version: real.version }
+  }
+  if (/^file:/.test(value) || /^[.\/~]/.test(value))
+    rejectSpec(spec, 'local paths are not supported', 'ERR_LOCAL_SPEC')
+
+  const gitInfo = normalizeGitRepo(value)
+  if (gitInfo) return gitKeyData(spec, gitInfo)
+  if (/^git(?:\+[a-z]+)?:/.test(value))
+    rejectSpec(spec, 'unsupported or malformed git URL', 'ERR_INVALID_URL')
+
+  if (/^https?:\/\//.test(value)) {
+    if (!usableUrl(value)) rejectSpec(spec, 'URL does not look usable', 'ERR_INVALID_URL')
+    return { type: 'url', url: value }
+  }
+  if (/^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(value))
+    rejectSpec(spec, 'unsupported protocol', 'ERR_UNSUPPORTED_SPEC')
+  return null
+}
+
+function fromSpec(spec) {
+  expectNonemptyString(spec, 'spec')
+
+  const other = otherSpecKeyData(spec, spec)
+  if (other) return other
+
+  // A dependency given as name@<spec>, for a spec of another kind, is taken
+  // as that spec; for an alias, name is the alias
+  const matches = RE_NAME_AT_VERSION.exec(spec)
+  const named = matches && matches[2] !== undefined
+    ? otherSpecKeyData(spec, matches[2], matches[1])
+    : null
+  if (named) return named
+  return registryKeyData(spec, spec)
+}
+
+// Key data of type 'semver' from value, the whole of spec or the part that
+// follows 'npm:' in it
+function registryKeyData(spec, value) {
+  const matches = RE_NAME_AT_VERSION.exec(value)
+  if (!matches) rejectSpec(spec, 'not a recognized package spec')
+  const version = matches[2] === undefined ? '' : matches[2].trim().replace(/^=?v?/, '')
+  if (!version)
+    rejectSpec(spec, 'no version given')
+  if (!RE_VALID_SEMVER.test(version)) {
+    let isRange = true
+    try { parseRange(version) }
+    catch (err) { isRange = false }
+    rejectSpec(spec, isRange
+      ? `'${matches[2]}' is a version range, not an exact version`
+      : `'${matches[2]}' is a tag, not an exact version`
+    )
+  }
+  return {
+    type: 'semver',
+    name: matches[1],
+    version: version
+  }
+}
+
+function toSpec(parsed) {
+  if (parsed === undefined || parsed === null)
+    throw codedError(SyntaxError, 'ERR_MISSING_VALUE', 'no argument given')
+  if (typeof parsed !== 'object')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'argument must be an object')
+  if (parsed.truncated)
+    throw codedError(Error, 'ERR_TRUNCATED', 'a shortened filename does not hold enough to make a spec')
+
+  switch (parsed.type) {
+    case 'semver':
+      expectNonemptyString(parsed.packageName, 'packageName property')
+      expectNonemptyString(parsed.versionComparable, 'versionComparable property')
+      return [
+        parsed.packageName, '@', parsed.versionComparable,
+        parsed.build ? '+' + parsed.build : ''
+      ].join('')
+    case 'git':
+      expectNonemptyString(parsed.domain, 'domain property')
+      expectNonemptyString(parsed.path, 'path property')
+      expectNonemptyString(parsed.commit, 'commit property')
+      for (let host in HOSTED_GIT_DOMAINS) {
+        if (HOSTED_GIT_DOMAINS[host] === parsed.domain)
+          return `${host}:${parsed.path}#${parsed.commit}`
+      }
+      return [
+        'git+https://', parsed.domain, '/', parsed.path,
+        /\.git$/.test(parsed.path) ? '' : '.git', '#', parsed.commit
+      ].join('')
+    case 'url':
+      expectNonemptyString(parsed.url, 'url property')
+      if (RE_URL_SCHEME.test(parsed.url)) return parsed.url
+      // The older form of filename does not preserve the scheme
+      return 'https://' + parsed.url
+    case 'alias':
+      expectNonemptyString(parsed.packageName, 'packageName property')
+      expectNonemptyString(parsed.versionComparable, 'versionComparable property')
+      expectNonemptyString(parsed.alias, 'alias property')
+      return [
+        parsed.alias, '@npm:', parsed.packageName, '@', parsed.versionComparable,
+        parsed.build ? '+' + parsed.build : ''
+      ].join('')
+    case 'file':
+      expectNonemptyString(parsed.path, 'path property')
+      return 'file:' + parsed.path
+    default:
+      throw codedError(Error, 'ERR_UNKNOWN_TYPE', `Type '${parsed.type}' not recognized`)
+  }
+}
+
+/*
+Registry tarball URLs: <registry>/<name>/-/<unscoped-name>-<version>.tgz
+The registry base may itself have a path (as with many private registries),
+so the name is located by the '/-/' that follows it.
+*/
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/'
+const RE_REGISTRY_TARBALL_PATH = new RegExp([
+  '^(.*?)\\/(?:(@[^\\/]+)\\/)?([^\\/@]+)\\/-\\/(?:\\2\\/)?([^\\/]+)\\.tgz$'
+].join(''))
+
+function toRegistryUrl(parsed, registryBase) {
+  if (parsed === undefined || parsed === null)
+    throw codedError(SyntaxError, 'ERR_MISSING_VALUE', 'no argument given')
+  if (typeof parsed !== 'object')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'argument must be an object')
+  if (parsed.type !== 'semver')
+    throw codedError(Error, 'ERR_UNSUPPORTED_TYPE', 'only a parse() result of type "semver" has a registry URL')
+  if (parsed.truncated)
+    throw codedError(Error, 'ERR_TRUNCATED', 'a shortened filename does not hold the full package name')
+  expectNonemptyString(parsed.packageName, 'packageName property')
+  expectNonemptyString(parsed.versionComparable, 'versionComparable property')
+  if (registryBase === undefined) registryBase = DEFAULT_REGISTRY
+  expectNonemptyString(registryBase, 'registry base URL')
+  let base = null
+  try {
+    base = new URL(registryBase)
+  }
+  catch (err) {}
+  if (!base || !/^https?:$/.test(base.protocol) || !base.host ||
+      base.search || base.hash)
+    throw codedError(Error, 'ERR_INVALID_URL', 'registry base URL does not look usable')
+
+  const unscopedName = parsed.packageName.replace(/^@[^\/]+\//, '')
+  const version = parsed.versionComparable + (parsed.build ? '+' + parsed.build : '')
+  return [
+    registryBase.replace(/\/*$/, '/'), parsed.packageName,
+    '/-/', unscopedName, '-', version, '.tgz'
+  ].join('')
+}
+
+// Returns key data for makeTarballName(), or null if str is not recognized
+// as a registry tarball URL
+function fromRegistryUrl(str) {
+  expectString(str, 'argument')
+  const u = usableUrl(str)
+  if (!u || !/^https?:$/.test(u.protocol)) return null
+
+  let pathname
+  try {
+    // A scoped name may have its '/' encoded in the directory part
+    pathname = decodeURIComponent(u.pathname)
+  }
+  catch (err) { return null }
+  const matches = RE_REGISTRY_TARBALL_PATH.exec(pathname)
+  if (!matches) return null
+
+  const scope = matches[2]
+  const dirName = matches[3]
+  const base = matches[4]
+  const name = scope ? scope + '/' + dirName : dirName
+  let version
+  if (base.startsWith(dirName + '-')) {
+    // The directory tells where the name ends, even in a case
+    // where the basename alone is ambiguous
+    version = base.slice(dirName.length + 1)
+  }
+  else if (!scope && !isVersionAmbiguous(base)) {
+    // Some mirrors don't keep the basename in line with the directory;
+    // then we go by the basename alone, as parse() would
+    const parts = scanSemverFilename(base + '.tgz', '-')
+    if (!parts) return null
+    return {
+      type: 'semver',
+      name: parts.name,
+      version: parts.triplet
+        + (parts.prerelease ? '-' + parts.prerelease : '')
+        + (parts.build ? '+' + parts.build : '')
+    }
+  }
+  else return null
+
+  if (!RE_VALID_SEMVER.test(version)) return null
+  return {
+    type: 'semver',
+    name: name,
+    version: version
+  }
+}
+
+/*
+Digest of key data, as embedded in a shortened filename.
+Key data is reduced to the properties that makeTarballName() uses, in a
+fixed order, so that the same key data always gives the same digest.
+*/
+function canonicalKeyData(data) {
+  if (data === undefined || data === null)
+    throw codedError(SyntaxError, 'ERR_MISSING_VALUE', 'key data required')
+  if (typeof data !== 'object')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'key data must be an object')
+  expectNonemptyString(data.type, 'type property')
+  const reduced = typeKeyData(data)
+  // Only there if given, so that the digest of other key data stays the same
+  if (data.integrity !== undefined) {
+    integrityPrefix(data.integrity)
+    reduced.integrity = data.integrity
+  }
+  return reduced
+}
+
+function typeKeyData(data) {
+  switch (data.type) {
+    case 'semver':
+      expectNonemptyString(data.name, 'name property')
+      expectNonemptyString(data.version, 'version property')
+      return { type: data.type, name: data.name, version: data.version }
+    case 'git':
+      expectNonemptyString(data.domain, 'domain property')
+      expectNonemptyString(data.path, 'path property')
+      expectNonemptyString(data.commit, 'commit property')
+      return {
+        type: data.type, domain: data.domain, path: data.path, commit: data.commit
+      }
+    case 'url':
+      expectNonemptyString(data.url, 'url property')
+      return {
+        type: data.type,
+        url: usableUrl(data.url) ? tarballUrl(data.url) : data.url
+      }
+    case 'alias':
+      expectNonemptyString(data.alias, 'alias property')
+      expectNonemptyString(data.name, 'name property')
+      expectNonemptyString(data.version, 'version property')
+      return { type: data.type, alias: data.alias, name: data.name, version: data.version }
+    case 'file':
+      expectNonemptyString(data.path, 'path property')
+      expectNonemptyString(data.hash, 'hash property')
+      return {
+        type: data.type, path: normalizedFilePath(data.path) || data.path, hash: data.hash
+      }
+    default:
+      throw codedError(Error, 'ERR_UNKNOWN_TYPE', `Type '${data.type}' not recognized`)
+  }
+}
+
+function keyDataDigest(data) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify(canonicalKeyData(data)))
+    .digest('hex').slice(0, DIGEST_LENGTH)
+}
+
+/*
+The sidecar manifest: a JSON file that maps digests to the full key data,
+for recovery of what a shortened filename leaves out.
+*/
+const MANIFEST_FORMAT = 1
+
+function readManifest(manifestPath) {
+  let content
+  try {
+    content = fs.readFileSync(manifestPath, 'utf8')
+  }
+  catch (err) {
+    if (err.code === 'ENOENT')
+      return { format: MANIFEST_FORMAT, entries: {} }
+    throw err
+  }
+  const manifest = JSON.parse(content)
+  if (!manifest || manifest.format !== MANIFEST_FORMAT ||
+      !manifest.entries || typeof manifest.entries !== 'object')
+    throw codedError(Error, 'ERR_INVALID_MANIFEST', `${manifestPath} is not a recognized manifest`)
+  return manifest
+}
+
+function saveKeyData(manifestPath, data) {
+  expectNonemptyString(manifestPath, 'manifest path')
+  const entry = canonicalKeyData(data)
+  const digest = keyDataDigest(entry)
+  const manifest = readManifest(manifestPath)
+  manifest.entries[digest] = entry
+  // Write then rename, so that a reader never sees a partial manifest
+  const tempPath = `${manifestPath}.${process.pid}.tmp`
+  fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2) + '\n')
+  fs.renameSync(tempPath, manifestPath)
+  return digest
+}
+
+function recoverKeyData(manifestPath, target) {
+  expectNonemptyString(manifestPath, 'manifest path')
+  if (typeof target === 'string') target = parseFilename(target)
+  else if (target === undefined || target === null)
+    throw codedError(SyntaxError, 'ERR_MISSING_VALUE', 'no filename or parse() result given')
+  else if (typeof target !== 'object')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'second argument must be a filename or a parse() result')
+  if (!target || !target.truncated) return null
+
+  const entry = readManifest(manifestPath).entries[target.digest]
+  // Trust nothing that doesn't match the digest
+  if (!entry || entry.type !== target.type || keyDataDigest(entry) !== target.digest)
+    return null
+  return entry
+}
+
+/*
+Finds the filenames that would land on the same file in one directory.
+With caseInsensitive, that includes names that differ only in case.
+*/
+function findCollisions(filenames, options) {
+  if (filenames === undefined || filenames === null)
+    throw codedError(SyntaxError, 'ERR_MISSING_VALUE', 'no filenames given')
+  if (!Array.isArray(filenames))
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'filenames must be an array')
+  if (options === undefined || options === null) options = {}
+  else if (typeof options !== 'object')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'options must be an object')
+
+  const groups = new Map()
+  for (let i = 0; i < filenames.length; ++i) {
+    expectString(filenames[i], 'filename')
+    const key = options.caseInsensitive ? filenames[i].toLowerCase() : filenames[i]
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(filenames[i])
+  }
+  return Array.from(groups.values()).filter(group => group.length > 1)
+}
+
+/*
+Artifact identity: a key that is the same for every filename of the same
+artifact, whatever the extension or encoding. A semver package is identified
+by name and version (build metadata only if asked), a git tarball by repo
+and commit, a url tarball by the normalized url. A shortened name can only
+be identified by its digest.
+*/
+function canonicalKey(target, options) {
+  if (typeof target === 'string') target = parseFilename(target)
+  else if (target === undefined || target === null)
+    throw codedError(SyntaxError, 'ERR_MISSING_VALUE', 'no filename or parse() result given')
+  else if (typeof target !== 'object')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'argument must be a filename or a parse() result')
+  if (options === undefined || options === null) options = {}
+  else if (typeof options !== 'object')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'options must be an object')
+  if (!target || target.error) return null
+
+  // Tarballs with different integrity tags are different tarballs. The
+  // digest in a shortened name already covers the integrity.
+  const key = untaggedKey(target, options)
+  return target.integrityPrefix && !target.truncated ? key + '#' + target.integrityPrefix : key
+}
+
+function untaggedKey(target, options) {
+  if (target.truncated) {
+    expectNonemptyString(target.digest, 'digest property')
+    return `${target.type}~${target.digest}`
+  }
+  switch (target.type) {
+    case 'semver':
+      expectNonemptyString(target.packageName, 'packageName property')
+      expectNonemptyString(target.versionComparable, 'versionComparable property')
+      return [
+        'semver:', target.packageName, '@', target.versionComparable,
+        options.includeBuild && target.build ? '+' + target.build : ''
+      ].join('')
+    case 'git':
+      expectNonemptyString(target.domain, 'domain property')
+      expectNonemptyString(target.path, 'path property')
+      expectNonemptyString(target.commit, 'commit property')
+      return [
+        'git:', target.domain.toLowerCase(), '/', target.path,
+        '#', target.commit.toLowerCase()
+      ].join('')
+    case 'url':
+      expectNonemptyString(target.url, 'url property')
+      return 'url:' + normalizedUrl(target.url)
+    case 'alias':
+      expectNonemptyString(target.alias, 'alias property')
+      expectNonemptyString(target.packageName, 'packageName property')
+      expectNonemptyString(target.versionComparable, 'versionComparable property')
+      return [
+        'alias:', target.alias, '=', target.packageName, '@', target.versionComparable,
+        options.includeBuild && target.build ? '+' + target.build : ''
+      ].join('')
+    case 'file':
+      expectNonemptyString(target.path, 'path property')
+      expectNonemptyString(target.hash, 'hash property')
+      return `file:${target.path}#${target.hash.toLowerCase()}`
+    default:
+      throw codedError(Error, 'ERR_UNKNOWN_TYPE', `Type '${target.type}' not recognized`)
+  }
+}
+
+// A filename of the older url form has no scheme. None is made up for it,
+// and without one, there are no rules to normalize by, so it is taken as it is
+function normalizedUrl(str) {
+  if (!RE_URL_SCHEME.test(str)) return str
+  let u
+  try {
+    u = new URL(str)
+  }
+  catch (err) { return str }
+  u.username = ''
+  u.password = ''
+  u.hash = ''
+  return u.href
+}
+
+function isSameArtifact(a, b, options) {
+  const keyA = canonicalKey(a, options)
+  return keyA !== null && keyA === canonicalKey(b, options)
+}
+
+// Key data for makeTarballName() from a parse() result that is not truncated
+function keyDataOf(parsed) {
+  switch (parsed.type) {
+    case 'semver':
+      return {
+        type: 'semver',
+        name: parsed.packageName,
+        version: parsed.versionComparable + (parsed.build ? '+' + parsed.build : '')
+      }
+    case 'git':
+      return {
+        type: 'git', domain: parsed.domain, path: parsed.path, commit: parsed.commit
+      }
+    case 'url':
+      return { type: 'url', url: normalizedUrl(parsed.url) }
+    case 'alias':
+      return {
+        type: 'alias',
+        alias: parsed.alias,
+        name: parsed.packageName,
+        version: parsed.versionComparable + (parsed.build ? '+' + parsed.build : '')
+      }
+    case 'file':
+      return { type: 'file', path: parsed.path, hash: parsed.hash }
+  }
+}
+
+/*
+Groups the filenames of the same artifact, and works out the name that
+makeTarballName() would give it now. Where the names disagree on something
+that the key leaves out, the preferred name has what they agree on: build
+metadata only if they all have the same, and the default extension if any
+of them is a gzipped tar archive.
+*/
+function dedupe(filenames, options) {
+  if (filenames === undefined || filenames === null)
+    throw codedError(SyntaxError, 'ERR_MISSING_VALUE', 'no filenames given')
+  if (!Array.isArray(filenames))
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'filenames must be an array')
+
+  const groups = new Map()
+  for (let i = 0; i < filenames.length; ++i) {
+    expectString(filenames[i], 'filename')
+    const parsed = parseFilename(filenames[i])
+    if (!parsed) continue
+    const key = canonicalKey(parsed, options)
+    if (!groups.has(key)) groups.set(key, { key: key, filenames: [], parsed: [] })
+    const group = groups.get(key)
+    group.filenames.push(filenames[i])
+    group.parsed.push(parsed)
+  }
+
+  const result = []
+  groups.forEach(group => {
+    if (group.filenames.length < 2) return
+    let preferred
+    try {
+      preferred = preferredName(group.parsed)
+    }
+    // What the names hold is not enough for makeTarballName(), as with the
+    // older url form, which has no scheme; the first name stands
+    catch (err) { preferred = group.filenames[0] }
+    result.push({
+      key: group.key,
+      preferred: preferred,
+      filenames: group.filenames
+    })
+  })
+  return result
+}
+
+function preferredName(parsedList) {
+  const first = parsedList[0]
+  if (first.truncated) return null
+  const data = keyDataOf(first)
+  if (first.type === 'semver' && parsedList.some(p => p.build !== first.build))
+    data.version = first.versionComparable
+  const isGzippedTar = p =>
+    p.archive && p.archive.container === 'tar' && p.archive.compression === 'gzip'
+  const name = parsedList.some(isGzippedTar) || !first.extension
+    ? makeTarballName(data)
+    : makeTarballName(data, { extension: first.extension.toLowerCase() })
+  // Only the prefix of the integrity is known, so the tag is put back as it was
+  return first.integrityPrefix
+    ? withIntegrityTag(name, encodeURIComponent('#' + first.integrityPrefix))
+    : name
+}
+
+/*
+Lockfile readiness: whether a directory holds every tarball that a
+package-lock.json or npm-shrinkwrap.json calls for. The filename expected
+for each entry is the one makeTarballName() would make, but a file counts
+if it is of the same artifact (see canonicalKey()) under any name.
+*/
+const RE_NODE_MODULES_SEGMENT = /(?:^|\/)node_modules\//g
+
+// The name of a package at a location in node_modules, like
+// 'node_modules/a/node_modules/@s/b'; null for a location outside
+function nameAtLocation(location) {
+  let start = -1
+  let matches
+  RE_NODE_MODULES_SEGMENT.lastIndex = 0
+  while ((matches = RE_NODE_MODULES_SEGMENT.exec(location)))
+    start = matches.index + matches[0].length
+  return start === -1 ? null : location.slice(start)
+}
+
+// Each entry as { location, name, version, resolved, optional, kind },
+// where kind is 'bundled', 'linked' (including any other local path),
+// 'workspace', or undefined
+function lockfileEntries(lockfile, lockfilePath) {
+  if (!lockfile || typeof lockfile !== 'object' ||
+      ![ 1, 2, 3 ].includes(lockfile.lockfileVersion))
+    throw codedError(Error, 'ERR_INVALID_LOCKFILE', `${lockfilePath} is not a recognized lockfile`)
+  const entries = []
+  if (lockfile.lockfileVersion > 1 && lockfile.packages) {
+    for (let location in lockfile.packages) {
+      if (location === '') continue // the root project
+      const pkg = lockfile.packages[location]
+      const nameHere = nameAtLocation(location)
+      entries.push({
+        location: location,
+        name: pkg.name || nameHere,
+        version: pkg.version,
+        resolved: pkg.resolved,
+        integrity: pkg.integrity,
+        optional: !!pkg.optional,
+        kind: pkg.link || /^file:/.test(pkg.resolved) ? 'linked'
+          : nameHere === null ? 'workspace'
+          : pkg.inBundle ? 'bundled'
+          : undefined
+      })
+    }
+    return entries
+  }
+  // lockfileVersion 1: a tree of dependencies
+  const addDependencies = (deps, parentLocation) => {
+    for (let name in deps) {
+      const dep = deps[name]
+      const location = parentLocation + 'node_modules/' + name
+      const version = typeof dep.version === 'string' ? dep.version : ''
+      entries.push({
+        location: location,
+        name: name,
+        version: version,
+        resolved: dep.resolved,
+        integrity: dep.integrity,
+        optional: !!dep.optional,
+        kind: dep.bundled ? 'bundled'
+          : /^file:/.test(version) ? 'linked'
+          : undefined
+      })
+      if (dep.dependencies) addDependencies(dep.dependencies, location + '/')
+    }
+  }
+  addDependencies(lockfile.dependencies, '')
+  return entries
+}
+
+/*
+The keys under which a tarball for a lockfile entry may be found: the
+canonical key of its filename and the key of a shortened name, each also
+as tagged with the integrity of the entry, if it has one that is usable.
+*/
+function lockEntryKeys(data, entry) {
+  const keys = [ canonicalKey(makeTarballName(data)), `${data.type}~${keyDataDigest(data)}` ]
+  if (typeof entry.integrity === 'string') {
+    const tagged = Object.assign({ integrity: entry.integrity }, data)
+    try {
+      keys.push(canonicalKey(makeTarballName(tagged)), `${data.type}~${keyDataDigest(tagged)}`)
+    }
+    catch (err) {} // an integrity of no algorithm supported here
+  }
+  return keys
+}
+
+// Key data for makeTarballName() from a lockfile entry.
+// Throws (by way of fromSpec()) if the entry does not pin a tarball
+function lockEntryKeyData(entry) {
+  let name = entry.name
+  let version = entry.version || ''
+  const resolved = typeof entry.resolved === 'string' ? entry.resolved : ''
+  // In lockfileVersion 1, an alias is in the version
+  const alias = /^npm:((?:@[^\/@]+\/)?[^@]+)@(.+)$/.exec(version)
+  if (alias) {
+    name = alias[1]
+    version = alias[2]
+  }
+  if (RE_VALID_SEMVER.test(version)) {
+    if (!resolved) return { type: 'semver', name: name, version: version }
+    const fromRegistry = fromRegistryUrl(resolved)
+    if (fromRegistry && fromRegistry.name === name && fromRegistry.version === version)
+      return fromRegistry
+  }
+  if (!resolved && !version)
+    throw codedError(Error, 'ERR_UNUSABLE_SPEC', 'entry has no version or resolved URL')
+  // A git or remote tarball URL; in lockfileVersion 1, that's in the version
+  return fromSpec(resolved || version)
+}
+
+/*
+Splits of a filename that parse() rejects as ambiguous, each as a partial
+parse() result of type 'semver'.
+*/
+function ambiguousReadings(filename) {
+  let str
+  try {
+    str = decodeURIComponent(filename)
+  }
+  catch (err) { return [] }
+  const extMatch = RE_TARBALL_EXT.exec(str)
+  if (!extMatch) return []
+  const base = str.slice(0, extMatch.index)
+  const readings = []
+  for (let i = base.indexOf('-'); i !== -1; i = base.indexOf('-', i + 1)) {
+    const name = base.slice(0, i)
+    const vMatches = RE_SEMVER_PARTS.exec(base.slice(i + 1))
+    if (!vMatches || !RE_VALID_NAME_ONLY.test(name)) continue
+    readings.push({
+      type: 'semver',
+      packageName: name,
+      versionComparable: vMatches[1] + (vMatches[2] ? '-' + vMatches[2] : ''),
+      build: vMatches[3] || null
+    })
+  }
+  return readings
+}
+
+function lockfileReadiness(lockfile, lockfilePath, filenames) {
+  const report = {
+    present: [],
+    missing: [],
+    extra: [],
+    ambiguous: [],
+    bundled: [],
+    linked: [],
+    workspace: [],
+    unsupported: []
+  }
+  // The artifacts called for, by canonical key, and the keys under which
+  // they may be found in the directory (see lockEntryKeys())
+  const artifacts = new Map()
+  const byKey = new Map()
+  const entries = lockfileEntries(lockfile, lockfilePath)
+  for (let i = 0; i < entries.length; ++i) {
+    const entry = entries[i]
+    if (entry.kind) {
+      report[entry.kind].push(entry.location)
+      continue
+    }
+    let data
+    try {
+      data = lockEntryKeyData(entry)
+    }
+    catch (err) {
+      report.unsupported.push({ location: entry.location, reason: err.message })
+      continue
+    }
+    const filename = makeTarballName(data)
+    const key = canonicalKey(filename)
+    if (!artifacts.has(key)) {
+      artifacts.set(key, {
+        filename: filename, key: key, locations: [], optional: true, files: []
+      })
+    }
+    lockEntryKeys(data, entry).forEach(entryKey => byKey.set(entryKey, key))
+    const artifact = artifacts.get(key)
+    artifact.locations.push(entry.location)
+    artifact.optional = artifact.optional && entry.optional
+  }
+
+  for (let i = 0; i < filenames.length; ++i) {
+    const name = filenames[i]
+    if (!hasTarballExt(name)) continue
+    const parsed = parseFilename(name)
+    if (parsed) {
+      const key = byKey.get(canonicalKey(parsed))
+      if (key !== undefined) artifacts.get(key).files.push(name)
+      else report.extra.push(name)
+      continue
+    }
+    const matchedKeys = ambiguousReadings(name)
+      .map(reading => canonicalKey(reading))
+      .filter(key => artifacts.has(key))
+    if (matchedKeys.length) {
+      report.ambiguous.push({
+        filename: name,
+        candidates: matchedKeys.map(key => artifacts.get(key).filename)
+      })
+    }
+    else report.extra.push(name)
+  }
+
+  const ambiguousFilenames = new Set()
+  report.ambiguous.forEach(item => item.candidates.forEach(c => ambiguousFilenames.add(c)))
+  artifacts.forEach(artifact => {
+    if (artifact.files.length) report.present.push(artifact)
+    else if (!ambiguousFilenames.has(artifact.filename)) {
+      delete artifact.files
+      report.missing.push(artifact)
+    }
+  })
+  return report
+}
+
+function checkLockfile(lockfilePath, dir) {
+  return new Promise((resolve, reject) => {
+    expectNonemptyString(lockfilePath, 'lockfile path')
+    expectNonemptyString(dir, 'directory argument')
+    fs.readFile(lockfilePath, 'utf8', (err, content) => {
+      if (err) return reject(err)
+      fs.readdir(dir, { withFileTypes: true }, (err, dirents) => {
+        if (err) return reject(err)
+        try {
+          resolve(lockfileReadiness(JSON.parse(content), lockfilePath, sortedFilenames(dirents)))
+        }
+        catch (err) { reject(err) }
+      })
+    })
+  })
+}
+
+function checkLockfileSync(lockfilePath, dir) {
+  expectNonemptyString(lockfilePath, 'lockfile path')
+  expectNonemptyString(dir, 'directory argument')
+  const lockfile = JSON.parse(fs.readFileSync(lockfilePath, 'utf8'))
+  const names = sortedFilenames(fs.readdirSync(dir, { withFileTypes: true }))
+  return lockfileReadiness(lockfile, lockfilePath, names)
+}
+
+/*
+A minimal reader of tar archives, enough to pull one file out of a package
+tarball: ustar headers, with the long names of GNU tar and pax.
+*/
+const TAR_BLOCK = 512
+// A package.json in the top directory, whatever that is named; npm uses
+// 'package', but the tarballs of git hosts name it after the repo
+const RE_TAR_PACKAGE_JSON = /^(?:\.\/)?[^\/]+\/package\.json$/
+
+function tarString(block, start, length) {
+  const end = block.indexOf(0, start)
+  return block.toString('utf8', start, end === -1 || end > start + length ? start + length : end)
+}
+
+function tarNumber(block, start, length) {
+  // GNU tar's base-256 form, for values too big for the octal field
+  if (block[start] & 0x80) {
+    let n = block[start] & 0x7f
+    for (let i = start + 1; i < start + length; ++i) n = n * 256 + block[i]
+    return n
+  }
+  const str = tarString(block, start, length).trim()
+  return /^[0-7]*$/.test(str) ? parseInt(str || '0', 8) : NaN
+}
+
+function tarHeader(block) {
+  // The checksum is taken with its own field as spaces
+  let sum = 8 * 0x20
+  for (let i = 0; i < TAR_BLOCK; ++i)
+    if (i < 148 || i >= 156) sum += block[i]
+  const size = tarNumber(block, 124, 12)
+  if (tarNumber(block, 148, 8) !== sum || isNaN(size)) return null
+  let name = tarString(block, 0, 100)
+  if (tarString(block, 257, 5) === 'ustar') {
+    const prefix = tarString(block, 345, 155)
+    if (prefix) name = prefix + '/' + name
+  }
+  return { name: name, type: String.fromCharCode(block[156] || 0x30), size: size }
+}
+
+// The value of the path record in a pax extended header, if any
+function paxPath(data) {
+  const str = data.toString('utf8')
+  let pos = 0
+  let found = null
+  while (pos < str.length) {
+    const space = str.indexOf(' ', pos)
+    const length = parseInt(str.slice(pos, space), 10)
+    if (space === -1 || !(length > 0)) break
+    const record = str.slice(space + 1, pos + length - 1)
+    if (record.slice(0, 5) === 'path=') found = record.slice(5)
+    pos += length
+  }
+  return found
+}
+
+/*
+Resolves to the content of the package.json in the tar stream, or null if
+there is none. Rejects with ERR_CORRUPT_ARCHIVE if the stream is not a tar
+archive. Stops reading as soon as the file is found.
+*/
+function findPackageJson(stream) {
+  return new Promise((resolve, reject) => {
+    let pending = Buffer.alloc(0)
+    let entry = null
+    let longName = null
+    let empty = true
+    let done = false
+    function finish(err, result) {
+      if (done) return
+      done = true
+      stream.destroy()
+      if (err) reject(err)
+      else resolve(result)
+    }
+    function corrupt(message) {
+      finish(codedError(Error, 'ERR_CORRUPT_ARCHIVE', message))
+    }
+    function endEntry() {
+      const data = entry.chunks ? Buffer.concat(entry.chunks).slice(0, entry.size) : null
+      const e = entry
+      entry = null
+      switch (e.type) {
+        case 'L': // GNU long name, for the entry that follows
+          longName = tarString(data, 0, data.length)
+          break
+        case 'x': // pax extended header, for the entry that follows
+          longName = paxPath(data) || longName
+          break
+        default:
+          if (data) finish(null, data)
+      }
+    }
+    function consume() {
+      while (!done) {
+        if (entry) {
+          const n = Math.min(entry.remaining, pending.length)
+          if (entry.chunks) entry.chunks.push(pending.slice(0, n))
+          pending = pending.slice(n)
+          entry.remaining -= n
+          if (entry.remaining) return
+          endEntry()
+          continue
+        }
+        if (pending.length < TAR_BLOCK) return
+        const block = pending.slice(0, TAR_BLOCK)
+        pending = pending.slice(TAR_BLOCK)
+        empty = false
+        // The archive ends with blocks of zeros
+        if (block.every(b => b === 0)) return finish(null, null)
+        const header = tarHeader(block)
+        if (!header) return corrupt('not a tar archive, or damaged')
+        const name = longName || header.name
+        longName = null
+        const wanted = header.type === 'L' || header.type === 'x' ||
+          (header.type === '0' && RE_TAR_PACKAGE_JSON.test(name))
+        entry = {
+          type: header.type,
+          size: header.size,
+          remaining: Math.ceil(header.size / TAR_BLOCK) * TAR_BLOCK,
+          chunks: wanted ? [] : null
+        }
+        if (!entry.remaining) endEntry()
+      }
+    }
+    stream.on('data', chunk => {
+      pending = pending.length ? Buffer.concat([ pending, chunk ]) : chunk
+      consume()
+    })
+    stream.on('end', () => {
+      if (entry || pending.length || empty) corrupt('unexpected end of tar archive')
+      else finish(null, null)
+    })
+    stream.on('error', err => {
+      if (err.code && /^Z_/.test(err.code))
+        corrupt(`not a gzip stream, or damaged: ${err.message}`)
+      else finish(err)
+    })
+  })
+}
+
+// The package.json in a tarball, as the raw content, or null if none
+function readTarballPackageJson(filePath, archive) {
+  const input = fs.createReadStream(filePath)
+  if (!archive.compression) return findPackageJson(input)
+  const gunzip = zlib.createGunzip()
+  input.on('error', err => gunzip.destroy(err))
+  const result = findPackageJson(input.pipe(gunzip))
+  const cleanUp = () => input.destroy()
+  result.then(cleanUp, cleanUp)
+  return result
+}
+
+// What a tarball holds that is not what its name says
+function packageMismatches(parsed, pkg) {
+  const mismatches = []
+  function compare(field, expected, actual) {
+    if (expected !== actual)
+      mismatches.push({ field: field, expected: expected, actual: actual })
+  }
+  switch (parsed.type) {
+    case 'alias':
+      // The package.json has the real name; the alias is only where it goes
+      if (!parsed.truncated) {
+        compare('name', parsed.packageName, pkg.name)
+        compare('version', parsed.versionComparable + (parsed.build ? '+' + parsed.build : ''),
+          pkg.version)
+      }
+      break
+    case 'semver':
+      const version = parsed.versionComparable + (parsed.build ? '+' + parsed.build : '')
+      if (!parsed.truncated) {
+        compare('name', parsed.packageName, pkg.name)
+        compare('version', version, pkg.version)
+        break
+      }
+      const prefixed = typeof pkg.name === 'string' &&
+        pkg.name.indexOf(parsed.packageNamePrefix) === 0
+      if (!prefixed) compare('name', parsed.packageNamePrefix + '...', pkg.name)
+      compare('version', version, pkg.version)
+      // The rest of the name is in the digest
+      if (prefixed && !mismatches.length) {
+        compare('digest', parsed.digest,
+          keyDataDigest({ type: 'semver', name: pkg.name, version: pkg.version }))
+      }
+      break
+    case 'git':
+      compare('gitHead', parsed.commit.toLowerCase(),
+        typeof pkg.gitHead === 'string' ? pkg.gitHead.toLowerCase() : pkg.gitHead)
+      break
+  }
+  return mismatches
+}
+
+function verifyTarball(filePath) {
+  return new Promise((resolve, reject) => {
+    expectNonemptyString(filePath, 'file path')
+    const parsed = parseFilename(path.basename(filePath))
+    const verdict = {
+      filename: path.basename(filePath),
+      verdict: 'unverifiable',
+      reason: null,
+      parsed: parsed,
+      packageJson: null,
+      mismatches: []
+    }
+    function unverifiable(reason) {
+      verdict.reason = reason
+      resolve(verdict)
+    }
+    if (!parsed) return unverifiable('ERR_UNRECOGNIZED')
+    const archive = parsed.archive
+    if (!archive || archive.container !== 'tar' ||
+        (archive.compression && archive.compression !== 'gzip'))
+      return unverifiable('ERR_UNSUPPORTED_ARCHIVE')
+
+    readTarballPackageJson(filePath, archive).then(content => {
+      if (!content) return unverifiable('ERR_NO_PACKAGE_JSON')
+      let pkg
+      try {
+        pkg = JSON.parse(content.toString('utf8'))
+      }
+      catch (err) { pkg = null }
+      if (!pkg || typeof pkg !== 'object' || Array.isArray(pkg))
+        return unverifiable('ERR_INVALID_PACKAGE_JSON')
+      verdict.packageJson = { name: pkg.name, version: pkg.version, gitHead: pkg.gitHead }
+      // Nothing in a url-type or file-type name to check the content
+      // against, and a tarball from a git host may have no gitHead
+      if (parsed.type === 'url' || parsed.type === 'file' ||
+          (parsed.type === 'alias' && parsed.truncated) ||
+          (parsed.type === 'git' && pkg.gitHead === undefined))
+        return unverifiable('ERR_NOTHING_TO_COMPARE')
+      verdict.mismatches = packageMismatches(parsed, pkg)
+      verdict.verdict = verdict.mismatches.length ? 'mismatch' : 'match'
+      resolve(verdict)
+    }, err => {
+      if (err.code === 'ERR_CORRUPT_ARCHIVE') unverifiable(err.code)
+      else reject(err)
+    })
+  })
+}
+
+// One tarball at a time, so that a big directory doesn't use up file handles
+function verifyDirectory(dir) {
+  return new Promise((resolve, reject) => {
+    expectNonemptyString(dir, 'directory argument')
+    fs.readdir(dir, { withFileTypes: true }, (err, dirents) => {
+      if (err) return reject(err)
+      const names = sortedFilenames(dirents).filter(hasTarballExt)
+      const verdicts = []
+      function next(i) {
+        if (i === names.length) return resolve(verdicts)
+        verifyTarball(path.join(dir, names[i])).then(verdict => {
+          verdicts.push(verdict)
+          next(i + 1)
+        }, reject)
+      }
+      next(0)
+    })
+  })
+}
+
+/*
+Migration of a directory of tarballs to the names makeTarballName() gives:
+names of older forms, names that parse() rejects as ambiguous, and names
+as written by other tools. Where a name can be read more than one way,
+hints (package names, or a lockfile) may settle it.
+*/
+
+// The package names that a name as written by another tool may stand for:
+// the name itself, and any scoped name that npm pack ('scope-pkg') or
+// yarn ('@scope-pkg') would have written this way
+function nameVariants(raw) {
+  const variants = [ raw ]
+  const start = raw[0] === '@' ? 1 : 0
+  for (let i = raw.indexOf('-', start + 1); i !== -1; i = raw.indexOf('-', i + 1))
+    variants.push('@' + raw.slice(start, i) + '/' + raw.slice(i + 1))
+  return variants.filter(name => RE_VALID_NAME_ONLY.test(name))
+}
+
+// Every reading of a filename as that of a semver tarball, each as a
+// parse() result, marked as to whether it is the name as written
+function semverReadings(filename) {
+  let str
+  try {
+    str = decodeURIComponent(filename)
+  }
+  catch (err) { return [] }
+  const extMatch = RE_TARBALL_EXT.exec(str)
+  if (!extMatch) return []
+  const tagMatches = RE_INTEGRITY_TAG.exec(str)
+  const base = str.slice(0, tagMatches ? tagMatches.index : extMatch.index)
+  const readings = []
+  for (let i = base.indexOf('-'); i !== -1; i = base.indexOf('-', i + 1)) {
+    const raw = base.slice(0, i)
+    const vMatches = RE_SEMVER_PARTS.exec(base.slice(i + 1))
+    if (!vMatches) continue
+    const variants = nameVariants(raw)
+    for (let j = 0; j < variants.length; ++j) {
+      const reading = {
+        type: 'semver',
+        packageName: variants[j],
+        versionComparable: vMatches[1] + (vMatches[2] ? '-' + vMatches[2] : ''),
+        versionNumeric: vMatches[1],
+        prerelease: vMatches[2] || null,
+        build: vMatches[3] || null,
+        extension: extMatch[0],
+        archive: archiveType(extMatch[0]),
+        literal: variants[j] === raw,
+        yarnScoped: raw[0] === '@' && variants[j] !== raw
+      }
+      if (tagMatches) reading.integrityPrefix = tagMatches[1] + '-' + tagMatches[2]
+      readings.push(reading)
+    }
+  }
+  return readings
+}
+
+/*
+What a filename should be renamed to, as { target } or { candidates }, or
+null if it can't be read at all. A name that parse() accepts stands unless
+hints point to another reading; otherwise, a scoped name as yarn writes it
+is taken without hints, but one as npm pack writes it ('scope-pkg') is not.
+Throws if there is no name to give it, as for key data that makeTarballName()
+refuses.
+*/
+function migrationTarget(filename, hintNames) {
+  const parsed = parseFilename(filename)
+  if (parsed && parsed.truncated) return { target: filename }
+  // The older url form does not record the scheme, and it is not for us to
+  // guess one
+  if (parsed && parsed.type === 'url' && !RE_URL_SCHEME.test(parsed.url))
+    throw codedError(Error, 'ERR_NO_URL_SCHEME', 'the name does not record the scheme of the url')
+  if (parsed && parsed.type !== 'semver') return { target: preferredName([ parsed ]) }
+  const readings = semverReadings(filename)
+  const choose = list => list.length === 1
+    ? { target: preferredName(list) }
+    : { candidates: list.map(reading => preferredName([ reading ])) }
+  if (hintNames.size) {
+    const hinted = readings.filter(reading => hintNames.has(reading.packageName))
+    if (hinted.length) return choose(hinted)
+  }
+  if (parsed) return { target: preferredName([ parsed ]) }
+  const plausible = readings.filter(reading => reading.literal || reading.yarnScoped)
+  return plausible.length ? choose(plausible) : null
+}
+
+function expectMigrationOptions(options) {
+  if (options === undefined || options === null) return {}
+  if (typeof options !== 'object')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'options must be an object')
+  if (options.names !== undefined) {
+    if (!Array.isArray(options.names) || options.names.some(name => typeof name !== 'string'))
+      throw codedError(TypeError, 'ERR_INVALID_TYPE', 'names option must be an array of strings')
+  }
+  if (options.lockfile !== undefined) expectNonemptyString(options.lockfile, 'lockfile option')
+  return options
+}
+
+function hintNamesFrom(names, lockfile, lockfilePath) {
+  const hintNames = new Set(names || [])
+  if (!lockfile) return hintNames
+  const entries = lockfileEntries(lockfile, lockfilePath)
+  for (let i = 0; i < entries.length; ++i) {
+    if (entries[i].kind) continue
+    let data
+    try {
+      data = lockEntryKeyData(entries[i])
+    }
+    catch (err) { continue }
+    if (data.type === 'semver') hintNames.add(data.name)
+  }
+  return hintNames
+}
+
+function migrationPlan(dir, filenames, hintNames) {
+  const plan = { dir: dir, renames: [], unchanged: [], unresolved: [] }
+  const present = new Set(filenames)
+  const byTarget = new Map()
+  for (let i = 0; i < filenames.length; ++i) {
+    const name = filenames[i]
+    if (!hasTarballExt(name)) continue
+    let result
+    try {
+      result = migrationTarget(name, hintNames)
+    }
+    catch (err) {
+      plan.unresolved.push({ filename: name, code: err.code, message: err.message, candidates: [] })
+      continue
+    }
+    if (!result) {
+      const error = parseFilename.explain(name).error
+      plan.unresolved.push({
+        filename: name, code: error.code, message: error.message, candidates: []
+      })
+    }
+    else if (result.candidates) {
+      plan.unresolved.push({
+        filename: name,
+        code: 'ERR_AMBIGUOUS_VERSION',
+        message: 'more than one reading of the name',
+        candidates: result.candidates
+      })
+    }
+    else if (result.target === name) plan.unchanged.push(name)
+    else if (present.has(result.target)) {
+      plan.unresolved.push({
+        filename: name,
+        code: 'ERR_TARGET_EXISTS',
+        message: `${result.target} is already in the directory`,
+        candidates: [ result.target ]
+      })
+    }
+    else {
+      if (!byTarget.has(result.target)) byTarget.set(result.target, [])
+      byTarget.get(result.target).push(name)
+    }
+  }
+  byTarget.forEach((sources, target) => {
+    if (sources.length === 1)
+      return plan.renames.push({ from: sources[0], to: target })
+    for (let i = 0; i < sources.length; ++i) {
+      plan.unresolved.push({
+        filename: sources[i],
+        code: 'ERR_SAME_TARGET',
+        message: `${sources.length} files would be renamed to ${target}`,
+        candidates: [ target ]
+      })
+    }
+  })
+  return plan
+}
+
+function planMigration(dir, options) {
+  return new Promise((resolve, reject) => {
+    expectNonemptyString(dir, 'directory argument')
+    options = expectMigrationOptions(options)
+    const withLockfile = next => {
+      if (options.lockfile === undefined) return next(null)
+      fs.readFile(options.lockfile, 'utf8', (err, content) => {
+        if (err) return reject(err)
+        let lockfile
+        try {
+          lockfile = JSON.parse(content)
+        }
+        catch (err) { return reject(err) }
+        next(lockfile)
+      })
+    }
+    withLockfile(lockfile => {
+      fs.readdir(dir, { withFileTypes: true }, (err, dirents) => {
+        if (err) return reject(err)
+        try {
+          const hintNames = hintNamesFrom(options.names, lockfile, options.lockfile)
+          resolve(migrationPlan(dir, sortedFilenames(dirents), hintNames))
+        }
+        catch (err) { reject(err) }
+      })
+    })
+  })
+}
+
+function planMigrationSync(dir, options) {
+  expectNonemptyString(dir, 'directory argument')
+  options = expectMigrationOptions(options)
+  const lockfile = options.lockfile === undefined ? null
+    : JSON.parse(fs.readFileSync(options.lockfile, 'utf8'))
+  const hintNames = hintNamesFrom(options.names, lockfile, options.lockfile)
+  const names = sortedFilenames(fs.readdirSync(dir, { withFileTypes: true }))
+  return migrationPlan(dir, names, hintNames)
+}
+
+function isBasename(name) {
+  return typeof name === 'string' && name !== '' &&
+    name !== '.' && name !== '..' && path.basename(name) === name
+}
+
+// A plan for a directory, with a list of what to do to files in it, each
+// item of which must name only files in the directory itself
+function expectPlan(plan, listName, isItem, planner) {
+  if (plan === undefined || plan === null)
+    throw codedError(SyntaxError, 'ERR_MISSING_VALUE', 'no plan given')
+  if (typeof plan !== 'object')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'plan must be an object')
+  if (typeof plan.dir !== 'string' || !plan.dir || !Array.isArray(plan[listName]) ||
+      !plan[listName].every(item => item && isItem(item)))
+    throw codedError(Error, 'ERR_INVALID_PLAN', `not a plan made by ${planner}()`)
+}
+
+function expectMigrationPlan(plan) {
+  expectPlan(plan, 'renames', r => isBasename(r.from) && isBasename(r.to), 'planMigration')
+}
+
+// Whether the file system can't make a hard link here, as opposed to
+// refusing for a reason that a copy would meet too
+function cannotLink(err) {
+  return [ 'EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'ENOSYS', 'EXDEV' ].includes(err.code)
+}
+
+/*
+A rename never replaces a file: the new name is made as a hard link (or,
+where the file system has none, as an exclusive copy), which fails if the
+name is taken, and only then is the old name removed.
+*/
+function applyMigration(plan) {
+  return new Promise((resolve, reject) => {
+    expectMigrationPlan(plan)
+    const result = { renamed: [], refused: [] }
+    const next = i => {
+      if (i === plan.renames.length) return resolve(result)
+      const rename = plan.renames[i]
+      const from = path.join(plan.dir, rename.from)
+      const to = path.join(plan.dir, rename.to)
+      const done = err => {
+        if (err && err.code !== 'EEXIST') return reject(err)
+        if (err) {
+          result.refused.push({ from: rename.from, to: rename.to, code: 'ERR_TARGET_EXISTS' })
+          return next(i + 1)
+        }
+        fs.unlink(from, err => {
+          if (err) return reject(err)
+          result.renamed.push({ from: rename.from, to: rename.to })
+          next(i + 1)
+        })
+      }
+      fs.link(from, to, err => {
+        if (err && cannotLink(err))
+          fs.copyFile(from, to, fs.constants.COPYFILE_EXCL, done)
+        else done(err)
+      })
+    }
+    next(0)
+  })
+}
+
+function applyMigrationSync(plan) {
+  expectMigrationPlan(plan)
+  const result = { renamed: [], refused: [] }
+  for (let i = 0; i < plan.renames.length; ++i) {
+    const rename = plan.renames[i]
+    const from = path.join(plan.dir, rename.from)
+    const to = path.join(plan.dir, rename.to)
+    try {
+      try {
+        fs.linkSync(from, to)
+      }
+      catch (err) {
+        if (!cannotLink(err)) throw err
+        fs.copyFileSync(from, to, fs.constants.COPYFILE_EXCL)
+      }
+    }
+    catch (err) {
+      if (err.code !== 'EEXIST') throw err
+      result.refused.push({ from: rename.from, to: rename.to, code: 'ERR_TARGET_EXISTS' })
+      continue
+    }
+    fs.unlinkSync(from)
+    result.renamed.push({ from: rename.from, to: rename.to })
+  }
+  return result
+}
+
+/*
+Pruning of a directory of tarballs by a policy, a set of rules:
+  keepNewest {number}: keep the newest so many versions of each package
+  lockfiles {string|Array}: keep everything that these lockfiles call for
+  dropOldPrereleases {boolean}: drop pre-releases older than the newest
+    release of the package
+  keepLatestCommit {boolean}: keep only the latest commit of each git repo,
+    by the modification time of the files
+  deleteUnrecognized {boolean}: drop tarballs that parse() rejects
+A file that no rule decides is kept.
+*/
+const PRUNE_RULES = [
+  'keepNewest', 'lockfiles', 'dropOldPrereleases', 'keepLatestCommit', 'deleteUnrecognized'
+]
+
+function expectPrunePolicy(policy) {
+  if (policy === undefined || policy === null)
+    throw codedError(SyntaxError, 'ERR_MISSING_VALUE', 'no policy given')
+  if (typeof policy !== 'object' || Array.isArray(policy))
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'policy must be an object')
+  for (let rule in policy) {
+    if (!PRUNE_RULES.includes(rule))
+      throw codedError(Error, 'ERR_INVALID_OPTION', `unknown policy rule '${rule}'`)
+  }
+  if (policy.keepNewest !== undefined) {
+    if (typeof policy.keepNewest !== 'number')
+      throw codedError(TypeError, 'ERR_INVALID_TYPE', 'keepNewest must be a number')
+    if (!(Number.isInteger(policy.keepNewest) && policy.keepNewest > 0))
+      throw codedError(Error, 'ERR_INVALID_OPTION', 'keepNewest must be a positive integer')
+  }
+  let lockfiles = policy.lockfiles === undefined ? [] : policy.lockfiles
+  if (typeof lockfiles === 'string') lockfiles = [ lockfiles ]
+  if (!Array.isArray(lockfiles))
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'lockfiles must be a string or an array')
+  lockfiles.forEach(lockfilePath => expectNonemptyString(lockfilePath, 'lockfile path'))
+  const flags = [ 'dropOldPrereleases', 'keepLatestCommit', 'deleteUnrecognized' ]
+  flags.forEach(rule => {
+    if (policy[rule] !== undefined && typeof policy[rule] !== 'boolean')
+      throw codedError(TypeError, 'ERR_INVALID_TYPE', `${rule} must be a boolean`)
+  })
+  return Object.assign({}, policy, { lockfiles: lockfiles })
+}
+
+// The canonical keys of everything a lockfile calls for, with the key that
+// a shortened name of each would have
+function addLockfileKeys(keys, lockfile, lockfilePath) {
+  const entries = lockfileEntries(lockfile, lockfilePath)
+  for (let i = 0; i < entries.length; ++i) {
+    if (entries[i].kind) continue
+    let data
+    try {
+      data = lockEntryKeyData(entries[i])
+    }
+    catch (err) { continue }
+    lockEntryKeys(data, entries[i]).forEach(key => keys.add(key))
+  }
+  return keys
+}
+
+// The filenames of the git tarballs, for which modification times are wanted
+function gitFilenames(filenames) {
+  return filenames.filter(name => {
+    if (!hasTarballExt(name)) return false
+    const parsed = parseFilename(name)
+    return parsed !== null && parsed.type === 'git' && !parsed.truncated
+  })
+}
+
+function prunePlan(dir, filenames, policy, lockKeys, mtimes) {
+  const decisions = new Map()
+  const decide = (name, action, rule) => decisions.set(name, { action: action, rule: rule })
+  const packages = new Map()
+  const repos = new Map()
+  const addTo = (groups, key, item) => {
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(item)
+  }
+  for (let i = 0; i < filenames.length; ++i) {
+    const name = filenames[i]
+    if (!hasTarballExt(name)) continue
+    const parsed = parseFilename(name)
+    if (!parsed) {
+      if (policy.deleteUnrecognized) decide(name, 'delete', 'deleteUnrecognized')
+      else decide(name, 'keep', null)
+    }
+    else if (lockKeys.has(canonicalKey(parsed))) decide(name, 'keep', 'lockfiles')
+    else if (parsed.truncated) decide(name, 'keep', null)
+    else if (parsed.type === 'semver')
+      addTo(packages, parsed.packageName, { name: name, parsed: parsed })
+    else if (parsed.type === 'git') addTo(repos, parsed.repo, { name: name, parsed: parsed })
+    else decide(name, 'keep', null)
+  }
+
+  packages.forEach(items => {
+    if (policy.dropOldPrereleases) {
+      // A range of '*' matches no pre-release
+      const newest = latest(items.map(item => item.parsed))
+      items = items.filter(item => {
+        const v = item.parsed.versionComparable
+        if (!newest || !item.parsed.prerelease ||
+            compareVersions(v, newest.versionComparable) > 0) return true
+        decide(item.name, 'delete', 'dropOldPrereleases')
+        return false
+      })
+    }
+    if (!policy.keepNewest) return items.forEach(item => decide(item.name, 'keep', null))
+    const versions = []
+    items.forEach(item => {
+      const v = item.parsed.versionComparable
+      if (!versions.includes(v)) versions.push(v)
+    })
+    const kept = versions.sort((a, b) => compareVersions(b, a)).slice(0, policy.keepNewest)
+    items.forEach(item => decide(item.name,
+      kept.includes(item.parsed.versionComparable) ? 'keep' : 'delete', 'keepNewest'))
+  })
+
+  repos.forEach(items => {
+    if (!policy.keepLatestCommit) return items.forEach(item => decide(item.name, 'keep', null))
+    // The time of a commit is that of its newest file; commits that tie are all kept
+    const commitTimes = new Map()
+    items.forEach(item => {
+      const commit = item.parsed.commit.toLowerCase()
+      commitTimes.set(commit, Math.max(commitTimes.get(commit) || 0, mtimes.get(item.name)))
+    })
+    const latest = Math.max.apply(null, Array.from(commitTimes.values()))
+    items.forEach(item => decide(item.name,
+      commitTimes.get(item.parsed.commit.toLowerCase()) === latest ? 'keep' : 'delete',
+      'keepLatestCommit'))
+  })
+
+  const plan = { dir: dir, keep: [], delete: [] }
+  decisions.forEach((decision, name) => {
+    plan[decision.action].push({ filename: name, rule: decision.rule })
+  })
+  const byName = (a, b) => a.filename < b.filename ? -1 : a.filename > b.filename ? 1 : 0
+  plan.keep.sort(byName)
+  plan.delete.sort(byName)
+  return plan
+}
+
+function planPrune(dir, policy) {
+  return new Promise((resolve, reject) => {
+    expectNonemptyString(dir, 'directory argument')
+    policy = expectPrunePolicy(policy)
+    const lockKeys = new Set()
+    const mtimes = new Map()
+    const readLockfile = (i, next) => {
+      if (i === policy.lockfiles.length) return next()
+      fs.readFile(policy.lockfiles[i], 'utf8', (err, content) => {
+        if (err) return reject(err)
+        try {
+          addLockfileKeys(lockKeys, JSON.parse(content), policy.lockfiles[i])
+        }
+        catch (err) { return reject(err) }
+        readLockfile(i + 1, next)
+      })
+    }
+    const statFiles = (names, i, next) => {
+      if (i === names.length) return next()
+      fs.stat(path.join(dir, names[i]), (err, stats) => {
+        if (err) return reject(err)
+        mtimes.set(names[i], stats.mtimeMs)
+        statFiles(names, i + 1, next)
+      })
+    }
+    readLockfile(0, () => {
+      fs.readdir(dir, { withFileTypes: true }, (err, dirents) => {
+        if (err) return reject(err)
+        const names = sortedFilenames(dirents)
+        const toStat = policy.keepLatestCommit ? gitFilenames(names) : []
+        statFiles(toStat, 0, () => resolve(prunePlan(dir, names, policy, lockKeys, mtimes)))
+      })
+    })
+  })
+}
+
+function planPruneSync(dir, policy) {
+  expectNonemptyString(dir, 'directory argument')
+  policy = expectPrunePolicy(policy)
+  const lockKeys = new Set()
+  policy.lockfiles.forEach(lockfilePath => {
+    addLockfileKeys(lockKeys, JSON.parse(fs.readFileSync(lockfilePath, 'utf8')), lockfilePath)
+  })
+  const names = sortedFilenames(fs.readdirSync(dir, { withFileTypes: true }))
+  const mtimes = new Map()
+  if (policy.keepLatestCommit) {
+    gitFilenames(names).forEach(name => {
+      mtimes.set(name, fs.statSync(path.join(dir, name)).mtimeMs)
+    })
+  }
+  return prunePlan(dir, names, policy, lockKeys, mtimes)
+}
+
+function expectPrunePlan(plan) {
+  expectPlan(plan, 'delete', item => isBasename(item.filename), 'planPrune')
+}
+
+// A file that is already gone is reported as missing, not as an error
+function applyPrune(plan) {
+  return new Promise((resolve, reject) => {
+    expectPrunePlan(plan)
+    const result = { deleted: [], missing: [] }
+    const next = i => {
+      if (i === plan.delete.length) return resolve(result)
+      const name = plan.delete[i].filename
+      fs.unlink(path.join(plan.dir, name), err => {
+        if (err && err.code !== 'ENOENT') return reject(err)
+        result[err ? 'missing' : 'deleted'].push(name)
+        next(i + 1)
+      })
+    }
+    next(0)
+  })
+}
+
+function applyPruneSync(plan) {
+  expectPrunePlan(plan)
+  const result = { deleted: [], missing: [] }
+  for (let i = 0; i < plan.delete.length; ++i) {
+    const name = plan.delete[i].filename
+    try {
+      fs.unlinkSync(path.join(plan.dir, name))
+    }
+    catch (err) {
+      if (err.code !== 'ENOENT') throw err
+      result.missing.push(name)
+      continue
+    }
+    result.deleted.push(name)
+  }
+  return result
+}
+
+/*
+A live index of the tarballs in a directory: an initial scan, kept current
+by fs.watch. A name that fs.watch reports is only looked at once it has
+settled, when two looks, settleTime apart, find the file the same; so a file
+still being written is not taken up half done, and a storm of renames comes
+down to the names that are left at the end of it. Names without a tarball
+extension (as temporary names are, such as 'x.tgz.tmp') are ignored.
+*/
+const DEFAULT_SETTLE_TIME = 250
+
+// What changes if a file is replaced or written to
+function fileSignature(stats) {
+  return `${stats.ino}:${stats.size}:${stats.mtimeMs}`
+}
+
+function watchDirectory(dir, options) {
+  expectNonemptyString(dir, 'directory argument')
+  if (options === undefined || options === null) options = {}
+  else if (typeof options !== 'object')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'options must be an object')
+  let settleTime = DEFAULT_SETTLE_TIME
+  if (options.settleTime !== undefined) {
+    if (typeof options.settleTime !== 'number')
+      throw codedError(TypeError, 'ERR_INVALID_TYPE', 'settleTime option must be a number')
+    if (!(options.settleTime >= 0))
+      throw codedError(Error, 'ERR_INVALID_OPTION', 'settleTime option must not be negative')
+    settleTime = options.settleTime
+  }
+
+  const index = new EventEmitter()
+  const entries = new Map() // filename -> { entry, signature }
+  const pending = new Map() // filename -> { timer, signature }
+  let ready = false
+  let closed = false
+  let rescanTimer = null
+
+  function publicEntry(name) {
+    return entries.get(name).entry
+  }
+
+  // Looks at a name again after settleTime, until it has settled
+  function settle(name) {
+    if (closed || !hasTarballExt(name) || !parseFilename(name)) return
+    const item = pending.get(name) || { timer: null, signature: undefined }
+    if (item.timer) clearTimeout(item.timer)
+    pending.set(name, item)
+    if (!ready) return
+    item.timer = setTimeout(() => look(name, item), settleTime)
+  }
+
+  function look(name, item) {
+    fs.stat(path.join(dir, name), (err, stats) => {
+      if (closed || pending.get(name) !== item) return
+      if (err && err.code !== 'ENOENT') {
+        pending.delete(name)
+        return index.emit('error', err)
+      }
+      const signature = err || !stats.isFile() ? null : fileSignature(stats)
+      if (signature !== item.signature) {
+        item.signature = signature
+        item.timer = setTimeout(() => look(name, item), settleTime)
+        return
+      }
+      pending.delete(name)
+      update(name, signature)
+    })
+  }
+
+  function update(name, signature) {
+    const known = entries.get(name)
+    if (signature === null) {
+      if (!known) return
+      entries.delete(name)
+      return index.emit('remove', known.entry)
+    }
+    if (known && known.signature === signature) return
+    const entry = { filename: name, parsed: parseFilename(name) }
+    entries.set(name, { entry: entry, signature: signature })
+    index.emit(known ? 'replace' : 'add', entry)
+  }
+
+  // For when fs.watch can't say which name changed: every name in the
+  // directory, and every name in the index, is looked at again
+  function rescan() {
+    rescanTimer = null
+    fs.readdir(dir, { withFileTypes: true }, (err, dirents) => {
+      if (closed) return
+      if (err) return index.emit('error', err)
+      sortedFilenames(dirents).forEach(settle)
+      entries.forEach((value, name) => settle(name))
+    })
+  }
+
+  const watcher = fs.watch(dir, (eventType, filename) => {
+    if (closed) return
+    if (filename) return settle(filename.toString())
+    if (!rescanTimer) rescanTimer = setTimeout(rescan, settleTime)
+  })
+  watcher.on('error', err => index.emit('error', err))
+
+  fs.readdir(dir, { withFileTypes: true }, (err, dirents) => {
+    if (closed) return
+    if (err) return index.emit('error', err)
+    const names = sortedFilenames(dirents)
+      .filter(name => hasTarballExt(name) && parseFilename(name))
+    const statNext = i => {
+      if (closed) return
+      if (i === names.length) {
+        ready = true
+        pending.forEach((item, name) => settle(name))
+        return index.emit('ready')
+      }
+      fs.stat(path.join(dir, names[i]), (err, stats) => {
+        if (!err && stats.isFile() && !entries.has(names[i])) {
+          entries.set(names[i], {
+            entry: { filename: names[i], parsed: parseFilename(names[i]) },
+            signature: fileSignature(stats)
+          })
+        }
+        statNext(i + 1)
+      })
+    }
+    statNext(0)
+  })
+
+  index.get = filename => entries.has(filename) ? publicEntry(filename) : null
+  index.entries = () => Array.from(entries.keys()).sort().map(publicEntry)
+  index.findPackage = (name, version) => {
+    expectNonemptyString(name, 'package name')
+    if (version !== undefined) expectNonemptyString(version, 'version')
+    return index.entries().filter(entry => {
+      const p = entry.parsed
+      return p.type === 'semver' && !p.truncated && p.packageName === name &&
+        (version === undefined || compareVersions(p.versionComparable, version) === 0)
+    })
+  }
+  index.findGit = (repo, commit) => {
+    expectNonemptyString(repo, 'repo')
+    if (commit !== undefined) expectNonemptyString(commit, 'commit')
+    return index.entries().filter(entry => {
+      const p = entry.parsed
+      return p.type === 'git' && !p.truncated && p.repo === repo &&
+        (commit === undefined || p.commit.toLowerCase() === commit.toLowerCase())
+    })
+  }
+  index.findUrl = url => {
+    expectNonemptyString(url, 'url')
+    const target = normalizedUrl(url)
+    return index.entries().filter(entry => {
+      const p = entry.parsed
+      return p.type === 'url' && !p.truncated && normalizedUrl(p.url) === target
+    })
+  }
+  index.close = () => {
+    if (closed) return
+    closed = true
+    watcher.close()
+    pending.forEach(item => clearTimeout(item.timer))
+    pending.clear()
+    if (rescanTimer) clearTimeout(rescanTimer)
+    index.emit('close')
+  }
+  return index
+}
+
+/*
+Naming schemes: the forms of filename that other tools use, each with its
+own make() and parse(). What makeTarballName() and parse() do by themselves
+is the 'default' scheme; the others are taken with the scheme option.
+*/
+const DEFAULT_SCHEME = 'default'
+
+function expectSchemeSemverData(data, options, scheme) {
+  if (data.type !== 'semver')
+    throw codedError(Error, 'ERR_UNSUPPORTED_TYPE', `scheme '${scheme}' is only for type "semver"`)
+  expectNonemptyString(data.name, 'name property')
+  expectNonemptyString(data.version, 'version property')
+  if (!RE_VALID_NAME_ONLY.test(data.name))
+    throw codedError(Error, 'ERR_INVALID_NAME', `'${data.name}' is not a valid package name`)
+  if (!RE_VALID_SEMVER.test(data.version)) {
+    const problem = diagnoseVersion(data.version)
+    throw codedError(Error, problem.code, 'version is not valid by semver 2.0: ' + problem.message)
+  }
+  if (options.extension !== undefined && options.extension !== '.tgz')
+    throw codedError(Error, 'ERR_UNKNOWN_EXTENSION', `scheme '${scheme}' only has extension '.tgz'`)
+  if (data.integrity !== undefined)
+    throw codedError(Error, 'ERR_ROUND_TRIP', `scheme '${scheme}' has no place for an integrity`)
+}
+
+// The one reading of a name of the form name-version.tgz that the scheme
+// allows, or null if there is none, or more than one
+function schemeReading(filename, isAllowed) {
+  // Nothing in such a name is URI-encoded, and there is no integrity tag
+  if (/[%#]/.test(filename) || !/\.tgz$/.test(filename)) return null
+  const readings = semverReadings(filename).filter(isAllowed)
+  if (readings.length !== 1) return null
+  const result = readings[0]
+  delete result.literal
+  delete result.yarnScoped
+  return result
+}
+
+// In strict mode, as with makeTarballName(), a name that the scheme would
+// not read back as the same name and version is refused
+function schemeFilename(filename, data, options, parse) {
+  if (!options.strict) return filename
+  const p = parse(filename)
+  if (!p || p.packageName !== data.name ||
+      p.versionComparable + (p.build ? '+' + p.build : '') !== data.version)
+    throw codedError(Error, 'ERR_ROUND_TRIP', 'filename would not parse back to the given key data')
+  return filename
+}
+
+// yarn's offline mirror: '@scope/name' as '@scope-name'. Where the scope
+// or the name has a hyphen, where one ends and the other begins is unknown,
+// but that is the name yarn gives it
+function makeYarnMirrorName(data, options) {
+  expectSchemeSemverData(data, options, 'yarn-offline-mirror')
+  const filename = `${data.name.replace(/^(@[^\/]+)\//, '$1-')}-${data.version}.tgz`
+  return schemeFilename(filename, data, options, parseYarnMirrorName)
+}
+
+function parseYarnMirrorName(filename) {
+  return schemeReading(filename, reading =>
+    reading.yarnScoped || (reading.literal && reading.packageName[0] !== '@'))
+}
+
+// The last part of the path of a tarball URL on the npm registry, which
+// has no scope
+function makeRegistryBasename(data, options) {
+  expectSchemeSemverData(data, options, 'npm-registry-basename')
+  if (data.name[0] === '@')
+    throw codedError(Error, 'ERR_INVALID_NAME', `the scope of '${data.name}' is not in a registry basename`)
+  return schemeFilename(`${data.name}-${data.version}.tgz`, data, options, parseRegistryBasename)
+}
+
+function parseRegistryBasename(filename) {
+  return schemeReading(filename, reading =>
+    reading.literal && reading.packageName[0] !== '@')
+}
+
+const NAMING_SCHEMES = new Map([
+  [ DEFAULT_SCHEME, { make: makeTarballName, parse: parseFilename } ],
+  [ 'yarn-offline-mirror', { make: makeYarnMirrorName, parse: parseYarnMirrorName } ],
+  [ 'npm-registry-basename', { make: makeRegistryBasename, parse: parseRegistryBasename } ]
+])
+
+function namingScheme(name) {
+  expectNonemptyString(name, 'scheme name')
+  if (!NAMING_SCHEMES.has(name))
+    throw codedError(Error, 'ERR_UNKNOWN_SCHEME', `naming scheme '${name}' not recognized`)
+  return NAMING_SCHEMES.get(name)
+}
+
+// Options as passed on to a scheme, which has no use for the scheme option
+function schemeOptions(options) {
+  const copy = Object.assign({}, options)
+  delete copy.scheme
+  return copy
+}
+
+function registerScheme(name, scheme) {
+  expectNonemptyString(name, 'scheme name')
+  if (scheme === undefined || scheme === null)
+    throw codedError(SyntaxError, 'ERR_MISSING_VALUE', 'no scheme given')
+  if (typeof scheme !== 'object' ||
+      typeof scheme.make !== 'function' || typeof scheme.parse !== 'function')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'scheme must be an object with make() and parse()')
+  if (NAMING_SCHEMES.has(name))
+    throw codedError(Error, 'ERR_SCHEME_EXISTS', `naming scheme '${name}' already exists`)
+  NAMING_SCHEMES.set(name, { make: scheme.make, parse: scheme.parse })
+}
+
+/*
+The name of the same artifact in another scheme, or null if the filename
+is not of the first. The extension is kept, as by dedupe(), but for a
+gzipped tar archive, which gets whatever the other scheme uses by default.
+*/
+function convert(filename, fromScheme, toScheme) {
+  expectString(filename, 'filename')
+  namingScheme(fromScheme)
+  const target = namingScheme(toScheme)
+  const parsed = parseFilename(filename, { scheme: fromScheme })
+  if (!parsed) return null
+  if (parsed.truncated)
+    throw codedError(Error, 'ERR_TRUNCATED', 'a shortened filename does not hold the full key data')
+  // Only a prefix of the digest is in the name, not enough to make another
+  if (parsed.integrityPrefix)
+    throw codedError(Error, 'ERR_ROUND_TRIP', 'the integrity of the filename would be lost')
+  const options = {}
+  const archive = parsed.archive
+  if (parsed.extension && !(archive && archive.container === 'tar' && archive.compression === 'gzip'))
+    options.extension = parsed.extension.toLowerCase()
+  return target.make(keyDataOf(parsed), options)
+}
+
+/*
+Integrity: whether a tarball is the one named by a filename that has an
+integrity tag (see makeTarballName()), by an SRI string or by the bytes of
+the tarball. Only the prefix of the digest that is in the name is compared.
+*/
+function matchesIntegrity(target, against) {
+  if (typeof target === 'string') target = parseFilename(target)
+  else if (target === undefined || target === null)
+    throw codedError(SyntaxError, 'ERR_MISSING_VALUE', 'no filename or parse() result given')
+  else if (typeof target !== 'object')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'argument must be a filename or a parse() result')
+  if (!target || !target.integrityPrefix)
+    throw codedError(Error, 'ERR_NOTHING_TO_COMPARE', 'the filename has no integrity tag')
+  const sepIdx = target.integrityPrefix.indexOf('-')
+  const algorithm = target.integrityPrefix.slice(0, sepIdx)
+  const digestPrefix = target.integrityPrefix.slice(sepIdx + 1)
+  const startsWithPrefix = digest => digest.slice(0, digestPrefix.length) === digestPrefix
+
+  if (Buffer.isBuffer(against))
+    return startsWithPrefix(crypto.createHash(algorithm).update(against).digest('hex'))
+  if (against !== undefined && against !== null && typeof against !== 'string')
+    throw codedError(TypeError, 'ERR_INVALID_TYPE', 'integrity must be an SRI string or a Buffer')
+  expectNonemptyString(against, 'integrity')
+  const hashes = sriHashes(against)
+  if (!hashes.length)
+    throw codedError(Error, 'ERR_INVALID_INTEGRITY', 'integrity is not an SRI string with a SHA hash')
+  const sameAlgorithm = hashes.filter(hash => hash.algorithm === algorithm)
+  if (!sameAlgorithm.length)
+    throw codedError(Error, 'ERR_NOTHING_TO_COMPARE', `no ${algorithm} hash in the integrity given`)
+  return sameAlgorithm.some(hash => startsWithPrefix(hash.digest))
 }